@@ -1,37 +1,142 @@
 // Minimal dev server (no dependencies)
 // - Serves static files from ./public at http://localhost:3000
 // - Optionally proxies demo BFF endpoints to a real backend (if UPSTREAM_BFF_BASE is set)
+//     POST /api/bff/demo/session (short-lived widget token bound to merchant and page origin)
 //     GET  /api/bff/demo/catalog?merchantId=...
+//     POST /api/bff/demo/quote (server-side pricing: line totals, promo discount, fees, total)
 //     POST /api/bff/demo/purchase
+//     GET  /api/bff/demo/health?merchantId=...
+//     GET  /api/bff/demo/orders?merchantId=...&idempotencyKey=... (order placed with that Idempotency-Key)
+//     POST /api/bff/demo/orders/:orderId/resend (send an order's gift card email again)
+//     GET  /api/bff/demo/balance?merchantId=...&code=... (gift card balance; failed lookups are rate limited)
+//     POST /api/bff/demo/payments/fake-tokens (mock only: test card -> opaque token for the widget's "fake" provider)
+//     any other /api/bff/* path is passed through as is (proxy mode only)
+// - GET /metrics: request counts and latency histograms in Prometheus text format
+// - Logs one JSON line per request (secrets and email addresses redacted); every response carries X-Request-Id
+// - Without an upstream, serves a mock BFF backed by a local JSON fixture
 //
 // Env:
 // - PORT (default 3000)
-// - WIDGET_OVERLAY_KEY (optional). If set, requests must send header x-overlay-key with this value.
-// - UPSTREAM_BFF_BASE (optional). If set, proxy /api/bff/* to this base; otherwise returns empty offers and 501 for purchase.
+// - WIDGET_AUTH (optional). session (default): BFF routes need Authorization: Bearer <token from /session>.
+//   static-key: the old mode, where WIDGET_OVERLAY_KEY (if set) must be sent as x-overlay-key. Without WIDGET_AUTH,
+//   setting WIDGET_OVERLAY_KEY keeps static-key mode, so an existing key isn't silently dropped.
+// - WIDGET_SESSION_SECRET (optional). HMAC secret for session tokens; random per start by default, so tokens
+//   don't survive a restart (the widget fetches a new one).
+// - WIDGET_SESSION_TTL (optional). Session token lifetime in seconds (default 600)
+// - WIDGET_OVERLAY_KEY (optional). static-key mode only: requests must send header x-overlay-key with this value.
+// - WIDGET_ALLOWED_ORIGINS (optional). JSON { "<merchantId>": ["https://shop.example", ...], "*": [...] } of page
+//   origins allowed to call the BFF routes; "*" lists origins allowed for every merchant. Without it (or the file
+//   below), pages on localhost / 127.0.0.1 (any port) are allowed. Pages served by this server always are.
+// - WIDGET_ALLOWED_ORIGINS_FILE (optional). Path to a file with the same JSON, read at startup.
+// - REQUEST_LOG (optional). Set to 0 to turn off the per-request log lines.
+// - RATE_LIMIT (optional). Set to 0 to turn off the catalog and purchase rate limits (e.g. for load tests).
+// - UPSTREAM_BFF_KEY (optional). Sent to the upstream as x-overlay-key, so the key stays on the server.
+// - UPSTREAM_BFF_BASE (optional). If set, proxy /api/bff/* to this base; otherwise the mock BFF answers.
+// - UPSTREAM_CONNECT_TIMEOUT_MS (optional). Time to open a connection to the upstream (default 5000)
+// - UPSTREAM_READ_TIMEOUT_MS (optional). Longest the upstream may stay silent mid-request (default 15000)
+// - UPSTREAM_RETRIES (optional). Extra attempts for GET/HEAD after connection errors, timeouts and 502/503/504 (default 1)
+// - MOCK_BFF (optional). Set to 0 to disable the mock: catalog returns empty offers and purchase returns 501.
+// - MOCK_CATALOG_FILE (optional). Fixture with { merchants, offers, promoCodes, giftCards }; default ./fixtures/mock-catalog.json
+//   Re-read when the file changes, so edits show up on the widget's next revalidation.
+// - MOCK_CATALOG_MAX_AGE (optional). Cache-Control max-age in seconds for mock catalog responses (default 60)
+// - MOCK_PURCHASE_DELAY_MS (optional). Delay mock purchase responses (after the order is stored) to try timeouts
 
 const http = require('http');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { URL } = require('url');
 
 const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
 const PUBLIC_DIR = path.join(__dirname, 'public');
+const AUTH_MODE = process.env.WIDGET_AUTH
+  ? (process.env.WIDGET_AUTH === 'static-key' ? 'static-key' : 'session')
+  : (process.env.WIDGET_OVERLAY_KEY ? 'static-key' : 'session');
+const SESSION_SECRET = process.env.WIDGET_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL = Number(process.env.WIDGET_SESSION_TTL) > 0 ? Number(process.env.WIDGET_SESSION_TTL) : 600;
 const REQUIRED_KEY = process.env.WIDGET_OVERLAY_KEY || '';
+const UPSTREAM_BFF_KEY = process.env.UPSTREAM_BFF_KEY || '';
 const UPSTREAM_BFF_BASE = process.env.UPSTREAM_BFF_BASE || '';
+const MOCK_BFF = !UPSTREAM_BFF_BASE && process.env.MOCK_BFF !== '0';
+const MOCK_CATALOG_FILE = process.env.MOCK_CATALOG_FILE || path.join(__dirname, 'fixtures', 'mock-catalog.json');
+const MOCK_CATALOG_MAX_AGE = process.env.MOCK_CATALOG_MAX_AGE ? Number(process.env.MOCK_CATALOG_MAX_AGE) : 60;
+const UPSTREAM_CONNECT_TIMEOUT_MS = Number(process.env.UPSTREAM_CONNECT_TIMEOUT_MS) || 5000;
+const UPSTREAM_READ_TIMEOUT_MS = Number(process.env.UPSTREAM_READ_TIMEOUT_MS) || 15000;
+const UPSTREAM_RETRIES = Number.isInteger(Number(process.env.UPSTREAM_RETRIES)) && process.env.UPSTREAM_RETRIES !== ''
+  ? Math.max(0, Number(process.env.UPSTREAM_RETRIES)) : 1;
+const UPSTREAM_RETRY_DELAY_MS = 200;
+// Client headers the upstream gets. Cookies and the widget's session token stay here.
+const PROXY_REQUEST_HEADERS = ['accept', 'accept-language', 'content-type', 'if-none-match', 'if-modified-since',
+  'idempotency-key', 'x-request-id', 'origin', 'user-agent', 'x-overlay-key'];
+// Upstream headers the client gets: caching (so the widget can revalidate), Retry-After and idempotency replays.
+// Vary and X-Request-Id are left out; ours say Origin and the ID we sent the upstream.
+const PROXY_RESPONSE_HEADERS = ['content-type', 'content-length', 'etag', 'cache-control', 'last-modified', 'expires',
+  'retry-after', 'idempotent-replayed'];
+// Methods the generic /api/bff/* passthrough forwards (and advertises in its preflight)
+const PASSTHROUGH_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const HEALTH_TIMEOUT_MS = 5000;
+const REQUEST_LOG = process.env.REQUEST_LOG !== '0';
+// A client's own X-Request-Id is kept if it looks like one; otherwise we make one up
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+// Routes named in logs and metric labels; other paths collapse into /api/* or static
+const KNOWN_ROUTES = ['/api/bff/demo/session', '/api/bff/demo/catalog', '/api/bff/demo/purchase', '/api/bff/demo/quote',
+  '/api/bff/demo/health', '/api/bff/demo/orders', '/api/bff/demo/balance', '/api/bff/demo/payments/fake-tokens', '/metrics'];
+const METRIC_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// Log fields (at any depth) whose values are never written: session tokens, keys, gift card codes
+const LOG_SECRET_FIELDS = /token|secret|password|authorization|cookie|key|code/i;
+const LOG_EMAIL_RE = /[^\s@"'<>,;:]+@[^\s@"'<>,;:]+\.[^\s@"'<>,;:]+/g;
+const MOCK_PURCHASE_DELAY_MS = Number(process.env.MOCK_PURCHASE_DELAY_MS) || 0;
+const CORS_ALLOW_HEADERS = 'Content-Type, Authorization, x-overlay-key, If-None-Match, Idempotency-Key';
+const CORS_EXPOSE_HEADERS = 'ETag, Idempotent-Replayed, Retry-After, X-Request-Id';
+// Seconds browsers may cache a preflight answer
+const CORS_MAX_AGE = 600;
+const LOCAL_ORIGIN_RE = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+const ALLOWED_ORIGINS = loadAllowedOrigins();
+// Token buckets for catalog and purchase: burst size and refill per minute, per client address and per merchant
+const RATE_LIMIT = process.env.RATE_LIMIT !== '0';
+const RATE_LIMITS = {
+  catalogClient: { capacity: 60, perMinute: 120 },
+  catalogMerchant: { capacity: 600, perMinute: 1200 },
+  purchaseClient: { capacity: 10, perMinute: 10 },
+  purchaseMerchant: { capacity: 100, perMinute: 120 },
+};
+const MAX_BODY_BYTES = 100 * 1024;
+// Caps on one purchase: order lines and gift cards in total
+const MAX_ORDER_LINES = 50;
+const MAX_ORDER_CARDS = 100;
+const MAX_MESSAGE_LENGTH = 500;
+// Failed balance lookups allowed per client address and window, so codes can't be guessed by brute force
+const BALANCE_MAX_FAILURES = 5;
+const BALANCE_WINDOW_MS = 15 * 60 * 1000;
 
 function sendJson(res, status, body, extraHeaders = {}) {
+  if (res.ctx && body && body.error) res.ctx.error = String(body.error);
   const headers = {
     'Content-Type': 'application/json; charset=utf-8',
     'Cache-Control': 'no-cache',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, x-overlay-key',
-    ...extraHeaders,
   };
+  // Header names are case-insensitive; a proxied 'cache-control' must replace the default, not duplicate it
+  for (const [name, value] of Object.entries(extraHeaders)) {
+    for (const existing of Object.keys(headers)) if (existing.toLowerCase() === name.toLowerCase()) delete headers[existing];
+    headers[name] = value;
+  }
   res.writeHead(status, headers);
   res.end(JSON.stringify(body));
 }
 
+function sendNotModified(res, extraHeaders = {}) {
+  res.writeHead(304, extraHeaders);
+  res.end();
+}
+
+function pickHeaders(headers, names) {
+  const out = {};
+  for (const name of names) if (headers[name]) out[name] = headers[name];
+  return out;
+}
+
 function contentTypeFor(filePath) {
   const ext = path.extname(filePath).toLowerCase();
   switch (ext) {
@@ -76,39 +181,117 @@ function serveStatic(req, res, urlObj) {
   });
 }
 
-function proxyJson(targetUrl, method, headers, body) {
+// Pooled connections to the upstream, so proxied requests skip the TCP/TLS handshake
+const upstreamAgents = {
+  'http:': new http.Agent({ keepAlive: true, maxSockets: 64 }),
+  'https:': new https.Agent({ keepAlive: true, maxSockets: 64 }),
+};
+
+// The scheme the client used: a proxy in front of us says so in X-Forwarded-Proto (taken as is, as
+// upstreamHeaders does with X-Forwarded-For); otherwise it is this server's own socket
+function forwardedProto(req) {
+  const incoming = String(req.headers['x-forwarded-proto'] || '').split(',')[0].trim().toLowerCase();
+  if (incoming === 'http' || incoming === 'https') return incoming;
+  return req.socket.encrypted ? 'https' : 'http';
+}
+
+// Allowlisted client headers plus X-Forwarded-*. UPSTREAM_BFF_KEY replaces any key the page sent.
+function upstreamHeaders(req, body) {
+  const headers = pickHeaders(req.headers, PROXY_REQUEST_HEADERS);
+  const client = req.socket.remoteAddress || '';
+  headers['x-forwarded-for'] = req.headers['x-forwarded-for'] ? `${req.headers['x-forwarded-for']}, ${client}` : client;
+  headers['x-forwarded-host'] = req.headers.host || '';
+  headers['x-forwarded-proto'] = forwardedProto(req);
+  if (UPSTREAM_BFF_KEY) headers['x-overlay-key'] = UPSTREAM_BFF_KEY;
+  if (body !== undefined) {
+    headers['content-type'] = headers['content-type'] || 'application/json';
+    headers['content-length'] = String(Buffer.byteLength(body));
+  }
+  return headers;
+}
+
+// One request to the upstream. Resolves with the response before its body is read; rejects with CONNECT_TIMEOUT,
+// READ_TIMEOUT or the socket error. The read timeout bounds every silence, so a stalled body is cut off too.
+function upstreamOnce(target, { method, headers, body, readTimeoutMs }) {
   return new Promise((resolve, reject) => {
+    const mod = target.protocol === 'https:' ? https : http;
+    const r = mod.request(target, { method, headers, agent: upstreamAgents[target.protocol] }, resolve);
+    r.on('error', reject);
+    r.on('socket', (socket) => {
+      if (!socket.connecting) return; // reused keep-alive connection
+      const timer = setTimeout(() => r.destroy(new Error('CONNECT_TIMEOUT')), UPSTREAM_CONNECT_TIMEOUT_MS);
+      socket.once('connect', () => clearTimeout(timer));
+      socket.once('close', () => clearTimeout(timer));
+    });
+    r.setTimeout(readTimeoutMs, () => r.destroy(new Error('READ_TIMEOUT')));
+    r.end(body);
+  });
+}
+
+// GET and HEAD get UPSTREAM_RETRIES more attempts after a connection error, a timeout before the response or a
+// 502/503/504 (which also covers a pooled connection the upstream closed meanwhile). Other methods are sent once.
+async function upstreamRequest(target, opts) {
+  const retries = ['GET', 'HEAD'].includes(opts.method) ? UPSTREAM_RETRIES : 0;
+  for (let attempt = 0; ; attempt++) {
     try {
-      const u = new URL(targetUrl);
-      const mod = u.protocol === 'https:' ? https : http;
-      const opts = {
-        method,
-        hostname: u.hostname,
-        port: u.port || (u.protocol === 'https:' ? 443 : 80),
-        path: u.pathname + u.search,
-        headers: {
-          'content-type': headers['content-type'] || 'application/json',
-          'x-overlay-key': headers['x-overlay-key'] || headers['X-Overlay-Key'] || headers['x-Overlay-key'] || undefined,
-        },
-      };
-      const r = mod.request(opts, (up) => {
-        let chunks = '';
-        up.setEncoding('utf8');
-        up.on('data', (d) => { chunks += d; });
-        up.on('end', () => {
-          try {
-            const json = chunks ? JSON.parse(chunks) : {};
-            resolve({ status: up.statusCode || 200, json });
-          } catch (e) { reject(e); }
-        });
-      });
-      r.on('error', reject);
-      if (body) r.write(typeof body === 'string' ? body : JSON.stringify(body));
-      r.end();
-    } catch (e) { reject(e); }
+      const up = await upstreamOnce(target, opts);
+      if (attempt >= retries || ![502, 503, 504].includes(up.statusCode)) return up;
+      up.resume();
+    } catch (e) {
+      if (attempt >= retries) throw e;
+    }
+    await new Promise(resolve => setTimeout(resolve, UPSTREAM_RETRY_DELAY_MS * (attempt + 1)));
+  }
+}
+
+function upstreamTarget(path, search) {
+  const target = new URL(path, UPSTREAM_BFF_BASE);
+  if (search) target.search = String(search);
+  return target;
+}
+
+function isUpstreamTimeout(err) {
+  return !!err && (err.message === 'CONNECT_TIMEOUT' || err.message === 'READ_TIMEOUT');
+}
+
+// Streams the upstream's answer to the client: status, allowlisted headers and body as they are, error bodies and
+// non-JSON replies included. Only getting no answer at all becomes 504 UPSTREAM_TIMEOUT or 502 UPSTREAM_ERROR.
+// body is a parsed JSON body (re-serialised) or a Buffer sent unchanged.
+function proxyTo(req, res, path, { search, body, onResponse } = {}) {
+  const payload = body === undefined || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+  const target = upstreamTarget(path, search);
+  const opts = { method: req.method, headers: upstreamHeaders(req, payload), body: payload, readTimeoutMs: UPSTREAM_READ_TIMEOUT_MS };
+  return upstreamRequest(target, opts).then((up) => {
+    if (req.ctx) req.ctx.upstreamStatus = up.statusCode;
+    if (onResponse) onResponse(up.statusCode);
+    res.writeHead(up.statusCode, pickHeaders(up.headers, PROXY_RESPONSE_HEADERS));
+    // A body cut off upstream must not look complete to the client
+    up.on('error', () => res.destroy());
+    up.on('close', () => { if (!up.complete) res.destroy(); });
+    up.pipe(res);
+  }, (err) => {
+    if (req.ctx) req.ctx.detail = err.code || err.message;
+    if (isUpstreamTimeout(err)) return sendJson(res, 504, { error: 'UPSTREAM_TIMEOUT' });
+    return sendJson(res, 502, { error: 'UPSTREAM_ERROR' });
   });
 }
 
+// Buffered request for answers the dev server reads itself (health). json is null for a non-JSON body.
+function proxyJson(req, path, { search, readTimeoutMs = UPSTREAM_READ_TIMEOUT_MS } = {}) {
+  const opts = { method: 'GET', headers: upstreamHeaders(req), readTimeoutMs };
+  return upstreamRequest(upstreamTarget(path, search), opts).then(up => new Promise((resolve, reject) => {
+    if (req.ctx) req.ctx.upstreamStatus = up.statusCode;
+    const chunks = [];
+    up.on('data', (chunk) => chunks.push(chunk));
+    up.on('error', reject);
+    up.on('end', () => {
+      let json = null;
+      try { json = JSON.parse(Buffer.concat(chunks).toString('utf8')); } catch (_) {}
+      resolve({ status: up.statusCode, json, headers: up.headers });
+    });
+  }));
+}
+
 function streamFile(filePath, res) {
   const ct = contentTypeFor(filePath);
   res.writeHead(200, { 'Content-Type': ct, 'Cache-Control': 'no-cache' });
@@ -118,72 +301,1156 @@ function streamFile(filePath, res) {
 function checkKey(req) {
   if (!REQUIRED_KEY) return true;
   const got = req.headers['x-overlay-key'];
-  return got && String(got) === REQUIRED_KEY;
+  return !!got && safeEqual(String(got), REQUIRED_KEY);
+}
+
+// Constant-time comparison; hashing first makes the lengths equal
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+// The page a request comes from. Same-origin GETs carry no Origin header, so those count as this server's origin.
+function requestOrigin(req) {
+  return req.headers.origin || `http://${req.headers.host}`;
+}
+
+// Session tokens: base64url(JSON { m: merchantId, o: origin, exp: seconds }) + '.' + HMAC-SHA256 of that part
+function signSession(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${crypto.createHmac('sha256', SESSION_SECRET).update(body).digest('base64url')}`;
+}
+
+function verifySession(token, origin) {
+  const [body, sig] = String(token).split('.');
+  if (!body || !sig) return { error: 'SESSION_INVALID' };
+  const expected = crypto.createHmac('sha256', SESSION_SECRET).update(body).digest('base64url');
+  if (!safeEqual(sig, expected)) return { error: 'SESSION_INVALID' };
+  let payload;
+  try { payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8')); } catch (_) { return { error: 'SESSION_INVALID' }; }
+  if (!payload || payload.o !== origin) return { error: 'SESSION_INVALID' };
+  if (!(payload.exp * 1000 > Date.now())) return { error: 'SESSION_EXPIRED' };
+  return { merchantId: payload.m };
+}
+
+// { merchantId } the request may act for (session mode), {} for any merchant (static-key mode),
+// or { status, error } when it must be rejected
+function authenticate(req) {
+  if (AUTH_MODE === 'static-key') return checkKey(req) ? {} : { status: 401, error: 'UNAUTHORISED' };
+  const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (!m) return { status: 401, error: 'SESSION_REQUIRED' };
+  const session = verifySession(m[1], requestOrigin(req));
+  return session.error ? { status: 401, error: session.error } : session;
+}
+
+function sessionAllows(auth, merchantId) {
+  return !auth.merchantId || auth.merchantId === merchantId;
+}
+
+// { status, error } when the request may not act for merchantId: the page's origin isn't on that merchant's
+// allowlist, or the session token belongs to another merchant
+function merchantDenied(req, auth, merchantId) {
+  if (!originAllowed(req, merchantId)) return { status: 403, error: 'ORIGIN_NOT_ALLOWED' };
+  if (!sessionAllows(auth, merchantId)) return { status: 403, error: 'SESSION_MERCHANT_MISMATCH' };
+  return null;
+}
+
+// Origin allowlist: Map of merchantId (or '*') -> Set of origins, or null for the localhost default.
+// A broken config stops the server rather than silently allowing every site.
+function loadAllowedOrigins() {
+  const file = process.env.WIDGET_ALLOWED_ORIGINS_FILE;
+  const raw = process.env.WIDGET_ALLOWED_ORIGINS || (file ? fs.readFileSync(file, 'utf8') : '');
+  if (!raw) return null;
+  const config = JSON.parse(raw);
+  if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error('allowed origins: expected an object keyed by merchant ID');
+  const out = new Map();
+  for (const [merchantId, origins] of Object.entries(config)) {
+    if (!Array.isArray(origins)) throw new Error(`allowed origins for ${merchantId}: expected an array`);
+    // new URL() normalises case, default ports and trailing slashes the way browsers send Origin
+    out.set(merchantId, new Set(origins.map(origin => new URL(origin).origin)));
+  }
+  return out;
+}
+
+// Requests without Origin come from this server's own pages (same-origin GET) or non-browser clients,
+// which CORS doesn't restrict anyway
+function isOwnOrigin(req) {
+  const origin = req.headers.origin;
+  return !origin || origin === `http://${req.headers.host}`;
+}
+
+// Whether the page may call the BFF routes for merchantId
+function originAllowed(req, merchantId) {
+  if (isOwnOrigin(req)) return true;
+  if (!ALLOWED_ORIGINS) return LOCAL_ORIGIN_RE.test(req.headers.origin);
+  return [ALLOWED_ORIGINS.get('*'), ALLOWED_ORIGINS.get(merchantId)].some(list => !!list && list.has(req.headers.origin));
+}
+
+// Whether the page may call the BFF routes for any merchant. Preflights carry no merchant ID, so this decides
+// whether the browser gets to send the request (and read the per-merchant 403) at all.
+function originKnown(req) {
+  if (isOwnOrigin(req)) return true;
+  if (!ALLOWED_ORIGINS) return LOCAL_ORIGIN_RE.test(req.headers.origin);
+  return [...ALLOWED_ORIGINS.values()].some(list => list.has(req.headers.origin));
+}
+
+// The allowed Origin is echoed rather than '*'; Vary keeps shared caches from serving one site's answer to another
+function setCorsHeaders(req, res) {
+  res.setHeader('Vary', 'Origin');
+  if (!req.headers.origin || !originKnown(req)) return;
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+  res.setHeader('Access-Control-Expose-Headers', CORS_EXPOSE_HEADERS);
+}
+
+// Issues the widget's session token. Needs no secret from the page: the token is only good for this
+// merchant, from the origin that asked for it, for WIDGET_SESSION_TTL seconds. Browsers send Origin with every
+// POST, so a request without one isn't the widget; unlike the other routes, it gets no token.
+function handleSession(req, res) {
+  if (req.method === 'OPTIONS') return handleOptions(req, res);
+  if (req.method !== 'POST') return sendJson(res, 405, { error: 'METHOD_NOT_ALLOWED' });
+  if (AUTH_MODE !== 'session') return sendJson(res, 404, { error: 'SESSIONS_DISABLED' });
+  if (!req.headers.origin) return sendJson(res, 403, { error: 'ORIGIN_NOT_ALLOWED' });
+  parseJsonBody(req).then((body) => {
+    const merchantId = body && typeof body.merchantId === 'string' ? body.merchantId : '';
+    if (!merchantId || (MOCK_BFF && !findMockMerchant(merchantId))) return sendJson(res, 400, { error: 'INVALID_MERCHANT' });
+    if (!originAllowed(req, merchantId)) return sendJson(res, 403, { error: 'ORIGIN_NOT_ALLOWED' });
+    const exp = Math.floor(Date.now() / 1000) + SESSION_TTL;
+    const token = signSession({ m: merchantId, o: requestOrigin(req), exp });
+    return sendJson(res, 200, { token, merchantId, expiresIn: SESSION_TTL, expiresAt: new Date(exp * 1000).toISOString() }, { 'Cache-Control': 'no-store' });
+  }).catch(err => sendBodyError(res, err));
 }
 
 function handleCatalog(req, res, urlObj) {
   if (req.method === 'OPTIONS') return handleOptions(req, res);
-  if (!checkKey(req)) return sendJson(res, 401, { error: 'UNAUTHORISED' });
+  const clientLimited = rateLimiters.catalogClient.take(req.socket.remoteAddress || '');
+  if (clientLimited) return sendRateLimited(res, clientLimited);
+  const auth = authenticate(req);
+  if (auth.error) return sendJson(res, auth.status, { error: auth.error });
   const merchantId = urlObj.searchParams.get('merchantId');
+  const denied = merchantDenied(req, auth, merchantId);
+  if (denied) return sendJson(res, denied.status, { error: denied.error });
+  const merchantLimited = rateLimiters.catalogMerchant.take(String(merchantId));
+  if (merchantLimited) return sendRateLimited(res, merchantLimited);
   if (UPSTREAM_BFF_BASE) {
-    const target = new URL('/api/bff/demo/catalog', UPSTREAM_BFF_BASE);
-    target.searchParams.set('merchantId', merchantId || '');
-    return proxyJson(String(target), 'GET', req.headers)
-      .then(({ status, json }) => sendJson(res, status, json))
-      .catch(() => sendJson(res, 502, { error: 'UPSTREAM_ERROR' }));
+    // ETag, Cache-Control and 304s come through as the upstream sent them
+    return proxyTo(req, res, '/api/bff/demo/catalog', { search: new URLSearchParams({ merchantId: merchantId || '' }) });
   }
-  // No upstream configured: return empty catalog so the widget shows no active offers
+  if (MOCK_BFF) {
+    const { status, json } = mockCatalog(merchantId);
+    if (status !== 200) return sendJson(res, status, json);
+    const cacheHeaders = {
+      'ETag': `"${crypto.createHash('sha1').update(JSON.stringify(json)).digest('hex').slice(0, 16)}"`,
+      'Cache-Control': `private, max-age=${MOCK_CATALOG_MAX_AGE}`,
+    };
+    if (etagMatches(req.headers['if-none-match'], cacheHeaders.ETag)) return sendNotModified(res, cacheHeaders);
+    return sendJson(res, status, json, cacheHeaders);
+  }
+  // No upstream and mock disabled: return empty catalog so the widget shows no active offers
   return sendJson(res, 200, { merchantId, offers: [] });
 }
 
-function parseJsonBody(req) {
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  // Weak comparison, as HTTP prescribes for If-None-Match
+  const strip = (tag) => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || strip(tag) === strip(etag));
+}
+
+// Raw request body as a Buffer; rejects with PAYLOAD_TOO_LARGE. An oversized body is read to the end and
+// dropped rather than cutting the connection, so the client gets the 413.
+function readBody(req, maxBytes = MAX_BODY_BYTES) {
   return new Promise((resolve, reject) => {
-    let buf = '';
-    req.on('data', (chunk) => { buf += chunk; if (buf.length > 1e6) req.destroy(); });
+    if (Number(req.headers['content-length']) > maxBytes) {
+      req.resume();
+      return reject(new Error('PAYLOAD_TOO_LARGE'));
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => { size += chunk.length; if (size <= maxBytes) chunks.push(chunk); });
     req.on('end', () => {
-      try { resolve(JSON.parse(buf || '{}')); }
-      catch { reject(new Error('BAD_JSON')); }
+      if (size > maxBytes) return reject(new Error('PAYLOAD_TOO_LARGE'));
+      resolve(Buffer.concat(chunks));
     });
     req.on('error', reject);
   });
 }
 
+// Rejects with BAD_JSON or PAYLOAD_TOO_LARGE. The body's merchantId goes into the request log.
+function parseJsonBody(req, maxBytes = MAX_BODY_BYTES) {
+  return readBody(req, maxBytes).then((buf) => {
+    let body;
+    try { body = JSON.parse(buf.toString('utf8') || '{}'); }
+    catch { throw new Error('BAD_JSON'); }
+    if (req.ctx && body && typeof body.merchantId === 'string') req.ctx.merchantId = body.merchantId;
+    return body;
+  });
+}
+
+function sendBodyError(res, err) {
+  if (err && err.message === 'BAD_JSON') return sendJson(res, 400, { error: 'BAD_JSON' });
+  if (err && err.message === 'PAYLOAD_TOO_LARGE') return sendJson(res, 413, { error: 'PAYLOAD_TOO_LARGE' });
+  if (res.ctx) res.ctx.detail = String(err && err.stack || err);
+  return sendJson(res, 500, { error: 'SERVER_ERROR' });
+}
+
+// Token bucket per key: up to `capacity` requests in a burst, refilled at `perMinute`. take() returns 0 when
+// the request may go ahead, else the seconds until the next token (for Retry-After).
+function createRateLimiter({ capacity, perMinute }) {
+  const buckets = new Map(); // key -> { tokens, at }
+  const refill = (bucket, now) => Math.min(capacity, bucket.tokens + (now - bucket.at) * perMinute / 60000);
+  return {
+    take(key) {
+      if (!RATE_LIMIT) return 0;
+      const now = Date.now();
+      const bucket = buckets.get(key) || { tokens: capacity, at: now };
+      bucket.tokens = refill(bucket, now);
+      bucket.at = now;
+      buckets.set(key, bucket);
+      if (buckets.size > 10000) {
+        // Full buckets hold no state worth keeping
+        for (const [k, b] of buckets) if (b !== bucket && refill(b, now) >= capacity) buckets.delete(k);
+      }
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return 0;
+      }
+      return Math.ceil((1 - bucket.tokens) * 60 / perMinute);
+    },
+  };
+}
+
+const rateLimiters = {
+  catalogClient: createRateLimiter(RATE_LIMITS.catalogClient),
+  catalogMerchant: createRateLimiter(RATE_LIMITS.catalogMerchant),
+  purchaseClient: createRateLimiter(RATE_LIMITS.purchaseClient),
+  purchaseMerchant: createRateLimiter(RATE_LIMITS.purchaseMerchant),
+};
+
+function sendRateLimited(res, retryAfter) {
+  return sendJson(res, 429, { error: 'RATE_LIMITED', retryAfterSeconds: retryAfter }, { 'Retry-After': String(retryAfter) });
+}
+
+// Same rule as the widget's form and the mock (isValidEmail), so an address the form accepts isn't refused here
+const EMAIL_PATTERN = '.+@.+\\..+';
+
+// Purchase payload, checked before the mock or the upstream sees it. A JSON Schema subset (type, required,
+// properties, items, maxItems, min/maxLength, minimum/maximum, pattern, plus nullable to accept null); `error` is
+// the code for violations at or below that node, INVALID_REQUEST where none is set. Unknown properties are passed on.
+const PURCHASE_SCHEMA = {
+  type: 'object',
+  required: ['merchantId', 'buyer', 'items'],
+  properties: {
+    merchantId: { type: 'string', minLength: 1, maxLength: 100, error: 'INVALID_MERCHANT' },
+    buyer: {
+      type: 'object',
+      required: ['email'],
+      properties: {
+        name: { type: 'string', maxLength: 200 },
+        email: { type: 'string', maxLength: 254, pattern: EMAIL_PATTERN, error: 'INVALID_EMAIL' },
+      },
+    },
+    recipient: {
+      type: 'object',
+      error: 'INVALID_RECIPIENT',
+      properties: { email: { type: 'string', maxLength: 254, pattern: EMAIL_PATTERN } },
+    },
+    recipients: {
+      type: 'array',
+      maxItems: MAX_ORDER_CARDS,
+      error: 'INVALID_RECIPIENT',
+      items: {
+        type: 'object',
+        required: ['id', 'email'],
+        properties: {
+          id: { type: 'string', minLength: 1, maxLength: 64 },
+          name: { type: 'string', maxLength: 200 },
+          email: { type: 'string', maxLength: 254, pattern: EMAIL_PATTERN },
+          message: { type: 'string', maxLength: MAX_MESSAGE_LENGTH, error: 'MESSAGE_TOO_LONG' },
+          // null, like leaving it out, means "send now"
+          deliverAt: { type: 'string', nullable: true, pattern: '^\\d{4}-\\d{2}-\\d{2}$', error: 'INVALID_DELIVERY_DATE' },
+        },
+      },
+    },
+    items: {
+      type: 'array',
+      maxItems: MAX_ORDER_LINES,
+      items: {
+        type: 'object',
+        required: ['offerId', 'qty'],
+        properties: {
+          offerId: { type: 'string', minLength: 1, maxLength: 100 },
+          qty: { type: 'integer', minimum: 0, maximum: MAX_ORDER_CARDS, error: 'QTY_LIMIT' },
+          amountMinor: { type: 'integer', minimum: 1, maximum: 100000000, error: 'INVALID_AMOUNT' },
+          recipientId: { type: 'string', maxLength: 64, error: 'INVALID_RECIPIENT' },
+        },
+      },
+    },
+    promoCode: { type: 'string', maxLength: 64, error: 'INVALID_PROMO_CODE' },
+    payment: {
+      type: 'object',
+      required: ['provider', 'token'],
+      error: 'INVALID_PAYMENT_TOKEN',
+      properties: {
+        provider: { type: 'string', minLength: 1, maxLength: 50 },
+        token: { type: 'string', minLength: 1, maxLength: 4096 },
+      },
+    },
+  },
+};
+
+const SCHEMA_TYPES = {
+  object: v => !!v && typeof v === 'object' && !Array.isArray(v),
+  array: v => Array.isArray(v),
+  string: v => typeof v === 'string',
+  integer: v => Number.isInteger(v),
+};
+
+// { error, field } for the first violation (field like "items[0].qty"), or null
+function checkSchema(value, schema, field = '', code = 'INVALID_REQUEST') {
+  if (schema.error) code = schema.error;
+  const fail = () => ({ error: code, field: field || '(body)' });
+  if (value === null && schema.nullable) return null;
+  if (!SCHEMA_TYPES[schema.type](value)) return fail();
+  if (schema.type === 'string') {
+    if (value.length < (schema.minLength || 0) || value.length > (schema.maxLength ?? Infinity)) return fail();
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail();
+  }
+  if (schema.type === 'integer' && (value < (schema.minimum ?? -Infinity) || value > (schema.maximum ?? Infinity))) return fail();
+  if (schema.type === 'array') {
+    if (value.length > (schema.maxItems ?? Infinity)) return fail();
+    for (let i = 0; i < value.length; i++) {
+      const violation = checkSchema(value[i], schema.items, `${field}[${i}]`, code);
+      if (violation) return violation;
+    }
+  }
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) return { error: schema.properties[key].error || code, field: field ? `${field}.${key}` : key };
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+      const violation = checkSchema(value[key], child, field ? `${field}.${key}` : key, code);
+      if (violation) return violation;
+    }
+  }
+  return null;
+}
+
+// Schema plus what it can't express: the total number of gift cards
+function validatePurchaseBody(body) {
+  const violation = checkSchema(body, PURCHASE_SCHEMA);
+  if (violation) return violation;
+  const cards = body.items.reduce((sum, it) => sum + it.qty, 0);
+  if (cards > MAX_ORDER_CARDS) return { error: 'QTY_LIMIT', field: 'items' };
+  return null;
+}
+
 function handlePurchase(req, res) {
   if (req.method === 'OPTIONS') return handleOptions(req, res);
   if (req.method !== 'POST') return sendJson(res, 405, { error: 'METHOD_NOT_ALLOWED' });
-  if (!checkKey(req)) return sendJson(res, 401, { error: 'UNAUTHORISED' });
+  const clientLimited = rateLimiters.purchaseClient.take(req.socket.remoteAddress || '');
+  if (clientLimited) return sendRateLimited(res, clientLimited);
+  const auth = authenticate(req);
+  if (auth.error) return sendJson(res, auth.status, { error: auth.error });
+  if (!UPSTREAM_BFF_BASE && !MOCK_BFF) {
+    // No upstream and mock disabled: indicate not implemented
+    return sendJson(res, 501, { error: 'NO_UPSTREAM' });
+  }
+  const idempotencyKey = req.headers['idempotency-key'];
+  if (idempotencyKey !== undefined && !isValidIdempotencyKey(idempotencyKey)) {
+    return sendJson(res, 400, { error: 'INVALID_IDEMPOTENCY_KEY' });
+  }
+  parseJsonBody(req).then((body) => {
+    const invalid = validatePurchaseBody(body);
+    if (invalid) return sendJson(res, 400, invalid);
+    const denied = merchantDenied(req, auth, body.merchantId);
+    if (denied) return sendJson(res, denied.status, { error: denied.error });
+    const merchantLimited = rateLimiters.purchaseMerchant.take(body.merchantId);
+    if (merchantLimited) return sendRateLimited(res, merchantLimited);
+    if (MOCK_BFF) {
+      const { status, json, headers } = mockIdempotentPurchase(body, idempotencyKey);
+      // The order is already stored, so a client that gives up meanwhile can find it via /orders
+      return setTimeout(() => sendJson(res, status, json, headers), MOCK_PURCHASE_DELAY_MS);
+    }
+    // pass-through to upstream (Idempotency-Key included)
+    return proxyTo(req, res, '/api/bff/demo/purchase', { body });
+  }).catch(err => sendBodyError(res, err));
+}
+
+function handleQuote(req, res) {
+  if (req.method === 'OPTIONS') return handleOptions(req, res);
+  if (req.method !== 'POST') return sendJson(res, 405, { error: 'METHOD_NOT_ALLOWED' });
+  const auth = authenticate(req);
+  if (auth.error) return sendJson(res, auth.status, { error: auth.error });
+  if (!UPSTREAM_BFF_BASE && !MOCK_BFF) return sendJson(res, 501, { error: 'NO_UPSTREAM' });
+  parseJsonBody(req).then((body) => {
+    // Valid JSON isn't necessarily an object (null, [], 42)
+    if (!SCHEMA_TYPES.object(body)) return sendJson(res, 400, { error: 'INVALID_REQUEST', field: '(body)' });
+    const denied = merchantDenied(req, auth, body.merchantId);
+    if (denied) return sendJson(res, denied.status, { error: denied.error });
+    if (MOCK_BFF) {
+      const { status, json } = mockQuote(body);
+      return sendJson(res, status, json);
+    }
+    return proxyTo(req, res, '/api/bff/demo/quote', { body });
+  }).catch(err => sendBodyError(res, err));
+}
+
+// Stands in for a payment provider's tokenisation: the card stays here and the widget only gets an opaque token
+function handleFakePaymentToken(req, res) {
+  if (req.method === 'OPTIONS') return handleOptions(req, res);
+  if (req.method !== 'POST') return sendJson(res, 405, { error: 'METHOD_NOT_ALLOWED' });
+  const auth = authenticate(req);
+  if (auth.error) return sendJson(res, auth.status, { error: auth.error });
+  parseJsonBody(req).then((body) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return sendJson(res, 400, { error: 'INVALID_REQUEST' });
+    const denied = merchantDenied(req, auth, body.merchantId);
+    if (denied) return sendJson(res, denied.status, { error: denied.error });
+    const { status, json } = mockPaymentToken(body);
+    return sendJson(res, status, json);
+  }).catch(err => sendBodyError(res, err));
+}
+
+function isValidIdempotencyKey(key) {
+  return typeof key === 'string' && /^[\x21-\x7e]{1,255}$/.test(key);
+}
+
+// Looks up an order by the Idempotency-Key it was placed with, so a client that lost the purchase response
+// can tell whether the order went through
+function handleOrders(req, res, urlObj) {
+  if (req.method === 'OPTIONS') return handleOptions(req, res);
+  if (req.method !== 'GET') return sendJson(res, 405, { error: 'METHOD_NOT_ALLOWED' });
+  const auth = authenticate(req);
+  if (auth.error) return sendJson(res, auth.status, { error: auth.error });
+  const merchantId = urlObj.searchParams.get('merchantId') || '';
+  const denied = merchantDenied(req, auth, merchantId);
+  if (denied) return sendJson(res, denied.status, { error: denied.error });
+  const idempotencyKey = urlObj.searchParams.get('idempotencyKey') || '';
+  if (!isValidIdempotencyKey(idempotencyKey)) return sendJson(res, 400, { error: 'INVALID_IDEMPOTENCY_KEY' });
+  if (UPSTREAM_BFF_BASE) return proxyTo(req, res, '/api/bff/demo/orders', { search: urlObj.search });
+  if (!MOCK_BFF) return sendJson(res, 501, { error: 'NO_UPSTREAM' });
+  const entry = mockOrderKeys.get(`${merchantId}:${idempotencyKey}`);
+  const order = entry && mockOrders.get(entry.orderId);
+  if (!order) return sendJson(res, 404, { error: 'ORDER_NOT_FOUND' });
+  return sendJson(res, 200, order);
+}
+
+// Sends an order's gift card email again: to one recipient (recipientId, or email for orders without
+// recipient ids) or, with neither, to every recipient of the order
+function handleOrderResend(req, res, orderId) {
+  if (req.method === 'OPTIONS') return handleOptions(req, res);
+  if (req.method !== 'POST') return sendJson(res, 405, { error: 'METHOD_NOT_ALLOWED' });
+  const auth = authenticate(req);
+  if (auth.error) return sendJson(res, auth.status, { error: auth.error });
+  if (!UPSTREAM_BFF_BASE && !MOCK_BFF) return sendJson(res, 501, { error: 'NO_UPSTREAM' });
+  parseJsonBody(req).then((body) => {
+    if (!SCHEMA_TYPES.object(body)) return sendJson(res, 400, { error: 'INVALID_REQUEST', field: '(body)' });
+    const denied = merchantDenied(req, auth, body.merchantId);
+    if (denied) return sendJson(res, denied.status, { error: denied.error });
+    if (MOCK_BFF) {
+      const { status, json } = mockResend(orderId, body);
+      return sendJson(res, status, json);
+    }
+    return proxyTo(req, res, `/api/bff/demo/orders/${orderId}/resend`, { body });
+  }).catch(err => sendBodyError(res, err));
+}
+
+// Looks up a gift card by code. Every unknown code counts against the client's failure budget; once it
+// is spent, lookups get 429 with Retry-After until the window ends (valid codes included).
+function handleBalance(req, res, urlObj) {
+  if (req.method === 'OPTIONS') return handleOptions(req, res);
+  if (req.method !== 'GET') return sendJson(res, 405, { error: 'METHOD_NOT_ALLOWED' });
+  const auth = authenticate(req);
+  if (auth.error) return sendJson(res, auth.status, { error: auth.error });
+  const client = req.socket.remoteAddress || '';
+  const retryAfter = balanceRetryAfter(client);
+  if (retryAfter) return sendJson(res, 429, { error: 'TOO_MANY_ATTEMPTS', retryAfterSeconds: retryAfter }, { 'Retry-After': String(retryAfter) });
+  const merchantId = urlObj.searchParams.get('merchantId') || '';
+  const denied = merchantDenied(req, auth, merchantId);
+  if (denied) return sendJson(res, denied.status, { error: denied.error });
+  const code = normalizeGiftCode(urlObj.searchParams.get('code'));
+  if (!code) return sendJson(res, 400, { error: 'INVALID_CODE_FORMAT' });
   if (UPSTREAM_BFF_BASE) {
-    // pass-through to upstream
-    parseJsonBody(req).then((body) => {
-      const target = new URL('/api/bff/demo/purchase', UPSTREAM_BFF_BASE);
-      return proxyJson(String(target), 'POST', req.headers, body)
-        .then(({ status, json }) => sendJson(res, status, json))
-        .catch(() => sendJson(res, 502, { error: 'UPSTREAM_ERROR' }));
-    }).catch((err) => {
-      if (err && err.message === 'BAD_JSON') return sendJson(res, 400, { error: 'BAD_JSON' });
-      return sendJson(res, 500, { error: 'SERVER_ERROR' });
+    return proxyTo(req, res, '/api/bff/demo/balance', {
+      search: urlObj.search,
+      onResponse: (status) => { if (status === 404) recordBalanceFailure(client); },
     });
-    return;
   }
-  // No upstream configured: indicate not implemented
-  return sendJson(res, 501, { error: 'NO_UPSTREAM' });
+  if (!MOCK_BFF) return sendJson(res, 501, { error: 'NO_UPSTREAM' });
+  const { status, json } = mockBalance(merchantId, code);
+  if (status === 404) recordBalanceFailure(client);
+  return sendJson(res, status, json, { 'Cache-Control': 'no-store' });
 }
 
-function handleOptions(req, res) {
+const balanceFailures = new Map(); // client address -> { count, resetAt }
+
+// Seconds until the client may look up codes again; 0 while it still has failures left
+function balanceRetryAfter(client) {
+  const entry = balanceFailures.get(client);
+  if (!entry || entry.resetAt <= Date.now()) return 0;
+  return entry.count >= BALANCE_MAX_FAILURES ? Math.ceil((entry.resetAt - Date.now()) / 1000) : 0;
+}
+
+function recordBalanceFailure(client) {
+  const now = Date.now();
+  let entry = balanceFailures.get(client);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + BALANCE_WINDOW_MS };
+    balanceFailures.set(client, entry);
+  }
+  entry.count++;
+  if (balanceFailures.size > 1000) {
+    for (const [key, value] of balanceFailures) if (value.resetAt <= now) balanceFailures.delete(key);
+  }
+}
+
+// Reports whether the widget can reach a working BFF: key validity, then upstream reachability and latency
+// (proxy mode), or the mock's merchant lookup. Never cached; the widget polls it with backoff.
+function handleHealth(req, res, urlObj) {
+  if (req.method === 'OPTIONS') return handleOptions(req, res);
+  if (req.method !== 'GET') return sendJson(res, 405, { error: 'METHOD_NOT_ALLOWED' });
+  const noStore = { 'Cache-Control': 'no-store' };
+  const merchantId = urlObj.searchParams.get('merchantId');
+  const auth = authenticate(req);
+  const key = { mode: AUTH_MODE, required: AUTH_MODE === 'session' || !!REQUIRED_KEY, valid: !auth.error && sessionAllows(auth, merchantId) };
+  if (auth.error) return sendJson(res, auth.status, { status: 'error', error: auth.error, key }, noStore);
+  const denied = merchantDenied(req, auth, merchantId);
+  if (denied) return sendJson(res, denied.status, { status: 'error', error: denied.error, key }, noStore);
+  if (UPSTREAM_BFF_BASE) {
+    const search = merchantId ? new URLSearchParams({ merchantId }) : '';
+    const started = Date.now();
+    return proxyJson(req, '/api/bff/demo/health', { search, readTimeoutMs: HEALTH_TIMEOUT_MS })
+      .then(({ status, json }) => {
+        const upstream = { reachable: true, status, latencyMs: Date.now() - started };
+        if (status >= 200 && status < 300) return sendJson(res, 200, { status: 'ok', mode: 'proxy', key, upstream }, noStore);
+        const error = json && json.error ? String(json.error) : 'UPSTREAM_UNHEALTHY';
+        return sendJson(res, 502, { status: 'error', error, mode: 'proxy', key, upstream }, noStore);
+      })
+      .catch((e) => {
+        const error = isUpstreamTimeout(e) ? 'UPSTREAM_TIMEOUT' : 'UPSTREAM_ERROR';
+        const upstream = { reachable: false, latencyMs: Date.now() - started };
+        return sendJson(res, 502, { status: 'error', error, mode: 'proxy', key, upstream }, noStore);
+      });
+  }
+  if (MOCK_BFF) {
+    if (merchantId && !findMockMerchant(merchantId)) {
+      return sendJson(res, 404, { status: 'error', error: 'INVALID_MERCHANT', mode: 'mock', key }, noStore);
+    }
+    return sendJson(res, 200, { status: 'ok', mode: 'mock', key, upstream: null }, noStore);
+  }
+  // Catalog would be empty and purchases fail, so report the setup problem
+  return sendJson(res, 503, { status: 'error', error: 'NO_UPSTREAM', mode: 'none', key }, noStore);
+}
+
+// Any other /api/bff/* route goes to the upstream unchanged, after the same credential and origin checks. The
+// merchant is checked when the query or a JSON body names one; a session token, being for one merchant, needs it named.
+function handlePassthrough(req, res, urlObj) {
+  if (req.method === 'OPTIONS') return handleOptions(req, res, PASSTHROUGH_METHODS);
+  if (!UPSTREAM_BFF_BASE) return sendJson(res, 404, { error: 'NOT_FOUND' });
+  if (!PASSTHROUGH_METHODS.includes(req.method)) return sendJson(res, 405, { error: 'METHOD_NOT_ALLOWED' });
+  const auth = authenticate(req);
+  if (auth.error) return sendJson(res, auth.status, { error: auth.error });
+  readBody(req).then((raw) => {
+    let merchantId = urlObj.searchParams.get('merchantId');
+    if (merchantId === null && raw.length && /json/i.test(req.headers['content-type'] || '')) {
+      try { merchantId = JSON.parse(raw.toString('utf8')).merchantId; } catch (_) {}
+    }
+    if (merchantId === null || merchantId === undefined) {
+      if (auth.merchantId) return sendJson(res, 400, { error: 'INVALID_MERCHANT' });
+    } else {
+      const denied = merchantDenied(req, auth, merchantId);
+      if (denied) return sendJson(res, denied.status, { error: denied.error });
+    }
+    return proxyTo(req, res, urlObj.pathname, { search: urlObj.search, body: raw.length ? raw : undefined });
+  }).catch(err => sendBodyError(res, err));
+}
+
+// Preflight. Disallowed origins were already turned away by the router.
+function handleOptions(req, res, methods = ['GET', 'POST']) {
   res.writeHead(204, {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, x-overlay-key',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': CORS_ALLOW_HEADERS,
+    'Access-Control-Allow-Methods': methods.concat('OPTIONS').join(', '),
+    'Access-Control-Max-Age': String(CORS_MAX_AGE),
   });
   res.end();
 }
 
-// No local order/code generation anymore; real BFF should produce these
+// Mock BFF (used when no upstream is configured)
+// Mirrors the README "BFF expectations" contract so the widget can be exercised end to end locally.
+let mockData = null;
+let mockDataMtime = 0;
+
+function loadMockData() {
+  let mtime = 0;
+  try { mtime = fs.statSync(MOCK_CATALOG_FILE).mtimeMs; } catch (_) {}
+  if (mockData && mtime === mockDataMtime) return mockData;
+  mockDataMtime = mtime;
+  try {
+    const raw = JSON.parse(fs.readFileSync(MOCK_CATALOG_FILE, 'utf8'));
+    mockData = {
+      merchants: Array.isArray(raw.merchants) ? raw.merchants : [],
+      offers: Array.isArray(raw.offers) ? raw.offers : [],
+      promoCodes: Array.isArray(raw.promoCodes) ? raw.promoCodes : [],
+      giftCards: Array.isArray(raw.giftCards) ? raw.giftCards : [],
+    };
+  } catch (e) {
+    console.warn(`[dev-server] Could not load mock catalog from ${MOCK_CATALOG_FILE}: ${e.message}`);
+    mockData = { merchants: [], offers: [], promoCodes: [], giftCards: [] };
+  }
+  return mockData;
+}
+
+function findMockMerchant(merchantId) {
+  return loadMockData().merchants.find(m => m && m.id === merchantId) || null;
+}
+
+function mockCatalog(merchantId) {
+  if (!findMockMerchant(merchantId)) return { status: 404, json: { error: 'INVALID_MERCHANT' } };
+  // Inactive offers are returned as-is; the widget filters them like it would for a real BFF
+  const offers = loadMockData().offers.filter(o => o && o.merchantId === merchantId);
+  return { status: 200, json: { merchantId, offers } };
+}
+
+// Placed orders (with or without a key), and the Idempotency-Key each was placed with (per merchant). Kept in
+// memory, newest MOCK_ORDER_LIMIT; an order's key goes when the order does.
+const MOCK_ORDER_LIMIT = 1000;
+const mockOrders = new Map(); // orderId -> order response
+const mockOrderKeys = new Map(); // `${merchantId}:${key}` -> { orderId, bodyHash }
+const mockOrderKeyById = new Map(); // orderId -> its mockOrderKeys entry
+
+// A repeated key with the same body replays the stored order; with a different body it is rejected.
+// Only placed orders are stored: a rejected request can be fixed and resent under the same key.
+function mockIdempotentPurchase(body, key) {
+  if (!key) {
+    const result = mockPurchase(body);
+    if (result.status === 200) rememberMockOrder(result.json);
+    return result;
+  }
+  const merchantId = body && typeof body.merchantId === 'string' ? body.merchantId : '';
+  const scopedKey = `${merchantId}:${key}`;
+  // The payment is left out: paying again for the same order (with a new token) must not place it twice
+  const { payment, ...order } = body || {};
+  const bodyHash = crypto.createHash('sha1').update(JSON.stringify(order)).digest('hex');
+  const entry = mockOrderKeys.get(scopedKey);
+  if (entry) {
+    if (entry.bodyHash !== bodyHash) return { status: 409, json: { error: 'IDEMPOTENCY_KEY_REUSED' } };
+    return { status: 200, json: mockOrders.get(entry.orderId), headers: { 'Idempotent-Replayed': 'true' } };
+  }
+  const result = mockPurchase(body);
+  if (result.status === 200) rememberMockOrder(result.json, scopedKey, bodyHash);
+  return result;
+}
+
+function rememberMockOrder(order, scopedKey, bodyHash) {
+  mockOrders.set(order.orderId, order);
+  if (scopedKey) {
+    mockOrderKeys.set(scopedKey, { orderId: order.orderId, bodyHash });
+    mockOrderKeyById.set(order.orderId, scopedKey);
+  }
+  if (mockOrders.size <= MOCK_ORDER_LIMIT) return;
+  const oldest = mockOrders.keys().next().value;
+  mockOrders.delete(oldest);
+  mockOrderKeys.delete(mockOrderKeyById.get(oldest));
+  mockOrderKeyById.delete(oldest);
+}
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I
+
+// XXXX-XXXX-XXXX-XXXX, whatever the spacing or case it was typed in; '' if it can't be a gift code
+function normalizeGiftCode(value) {
+  const raw = String(value || '').toUpperCase().replace(/[\s-]/g, '');
+  if (!/^[A-Z0-9]{16}$/.test(raw)) return '';
+  return raw.match(/.{4}/g).join('-');
+}
+
+function maskGiftCode(code) {
+  return code.replace(/[A-Z0-9](?=.{4})/g, '•');
+}
+
+// Cards issued by mock purchases (the fixture's giftCards cover redeemed and expired ones). In memory until restart.
+const MOCK_CARD_VALIDITY_DAYS = 3 * 365;
+const MOCK_GIFT_CARD_LIMIT = 10000;
+const mockGiftCards = new Map(); // code -> { code, merchantId, valueMinor, balanceMinor, currency, expiresAt }
+
+function issueMockGiftCards(order) {
+  const expiresAt = new Date(Date.now() + MOCK_CARD_VALIDITY_DAYS * 86400000).toISOString().slice(0, 10);
+  for (const card of order.giftCards) {
+    mockGiftCards.set(card.code, {
+      code: card.code,
+      merchantId: order.merchantId,
+      valueMinor: card.valueMinor,
+      balanceMinor: card.valueMinor,
+      currency: card.currency,
+      expiresAt,
+    });
+  }
+  while (mockGiftCards.size > MOCK_GIFT_CARD_LIMIT) mockGiftCards.delete(mockGiftCards.keys().next().value);
+}
+
+function mockBalance(merchantId, code) {
+  if (!findMockMerchant(merchantId)) return { status: 400, json: { error: 'INVALID_MERCHANT' } };
+  const card = mockGiftCards.get(code)
+    || loadMockData().giftCards.find(c => c && normalizeGiftCode(c.code) === code)
+    || null;
+  // Another merchant's card is reported like an unknown one, so codes can't be probed across merchants
+  if (!card || card.merchantId !== merchantId) return { status: 404, json: { error: 'CODE_NOT_FOUND' } };
+  const balanceMinor = Number.isInteger(card.balanceMinor) ? card.balanceMinor : card.valueMinor;
+  let status = 'active';
+  if (card.expiresAt && new Date().toISOString().slice(0, 10) > card.expiresAt) status = 'expired';
+  else if (balanceMinor <= 0) status = 'redeemed';
+  return {
+    status: 200,
+    json: {
+      code: maskGiftCode(code),
+      merchantId,
+      status,
+      balanceMinor,
+      valueMinor: card.valueMinor,
+      currency: card.currency,
+      expiresAt: card.expiresAt || null,
+    },
+  };
+}
+
+// Resends per order and recipient address; the mock "sends" by counting
+const MOCK_RESEND_LIMIT = 3;
+const mockResends = new Map(); // `${orderId}:${email}` -> count
+
+function mockResend(orderId, body) {
+  const merchantId = body && typeof body.merchantId === 'string' ? body.merchantId : '';
+  const order = mockOrders.get(orderId);
+  if (!order || order.merchantId !== merchantId) return { status: 404, json: { error: 'ORDER_NOT_FOUND' } };
+  const recipientId = typeof body.recipientId === 'string' ? body.recipientId : '';
+  const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+  const targets = new Map(); // recipient email -> recipientId
+  for (const card of order.giftCards) {
+    if (recipientId && card.recipientId !== recipientId) continue;
+    if (email && String(card.recipientEmail).toLowerCase() !== email) continue;
+    if (card.recipientEmail) targets.set(card.recipientEmail, card.recipientId);
+  }
+  if (targets.size === 0) return { status: 400, json: { error: 'INVALID_RECIPIENT' } };
+  for (const address of targets.keys()) {
+    if ((mockResends.get(`${orderId}:${address}`) || 0) >= MOCK_RESEND_LIMIT) return { status: 429, json: { error: 'RESEND_LIMIT' } };
+  }
+  const resent = [];
+  for (const [address, id] of targets) {
+    const key = `${orderId}:${address}`;
+    mockResends.set(key, (mockResends.get(key) || 0) + 1);
+    resent.push(id ? { recipientId: id, email: address } : { email: address });
+  }
+  if (mockResends.size > MOCK_ORDER_LIMIT) mockResends.delete(mockResends.keys().next().value);
+  return { status: 200, json: { orderId, sentAt: new Date().toISOString(), resent } };
+}
+
+function generateGiftCode() {
+  const bytes = crypto.randomBytes(16);
+  let out = '';
+  for (let i = 0; i < bytes.length; i++) {
+    if (i > 0 && i % 4 === 0) out += '-';
+    out += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+  return out;
+}
+
+function generateOrderId() {
+  return 'ord_' + crypto.randomBytes(8).toString('hex');
+}
+
+const MAX_SCHEDULE_DAYS = 365;
+
+function isValidEmail(email) {
+  return typeof email === 'string' && /.+@.+\..+/.test(email);
+}
+
+// deliverAt is a calendar date (YYYY-MM-DD). Allow one day of slack for buyers west of UTC.
+function isValidDeliveryDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const at = Date.parse(value + 'T00:00:00Z');
+  if (Number.isNaN(at)) return false;
+  const dayMs = 24 * 60 * 60 * 1000;
+  const today = Math.floor(Date.now() / dayMs) * dayMs;
+  return at >= today - dayMs && at <= today + MAX_SCHEDULE_DAYS * dayMs;
+}
+
+// Open-value offers carry minAmountMinor/maxAmountMinor plus stepMinor or presetsMinor instead of amountMinor
+function isOpenValueOffer(offer) {
+  return Number.isInteger(offer.minAmountMinor) && Number.isInteger(offer.maxAmountMinor);
+}
+
+// Presets without a step restrict the offer to exactly those amounts
+function isValidOfferAmount(offer, amountMinor) {
+  if (!Number.isInteger(amountMinor)) return false;
+  if (!isOpenValueOffer(offer)) return amountMinor === offer.amountMinor;
+  if (amountMinor < offer.minAmountMinor || amountMinor > offer.maxAmountMinor) return false;
+  if (!Number.isInteger(offer.stepMinor) && Array.isArray(offer.presetsMinor) && offer.presetsMinor.length) {
+    return offer.presetsMinor.includes(amountMinor);
+  }
+  const step = Number.isInteger(offer.stepMinor) && offer.stepMinor > 0 ? offer.stepMinor : 1;
+  return (amountMinor - offer.minAmountMinor) % step === 0;
+}
+
+// Returns { error } or { byId } for the optional per-recipient schema
+function parseMockRecipients(list) {
+  const byId = new Map();
+  if (list === undefined) return { byId };
+  if (!Array.isArray(list)) return { error: 'INVALID_RECIPIENT' };
+  for (const r of list) {
+    if (!r || typeof r.id !== 'string' || !r.id || byId.has(r.id)) return { error: 'INVALID_RECIPIENT' };
+    if (!isValidEmail(r.email)) return { error: 'INVALID_RECIPIENT' };
+    if (r.message !== undefined && (typeof r.message !== 'string' || r.message.length > MAX_MESSAGE_LENGTH)) {
+      return { error: 'MESSAGE_TOO_LONG' };
+    }
+    if (r.deliverAt !== undefined && r.deliverAt !== null && !isValidDeliveryDate(r.deliverAt)) {
+      return { error: 'INVALID_DELIVERY_DATE' };
+    }
+    byId.set(r.id, {
+      id: r.id,
+      name: String(r.name || ''),
+      email: r.email,
+      message: r.message || '',
+      deliverAt: r.deliverAt || '',
+    });
+  }
+  return { byId };
+}
+
+// Checks cart lines ({ offerId, qty, amountMinor }, possibly several per offer) against the merchant's offers and
+// fills in amountMinor for fixed-value offers. maxPerOrder applies to the total per offer.
+function validateMockLines(merchantId, lines) {
+  const qtyByOffer = new Map();
+  for (const line of lines) qtyByOffer.set(line.offerId, (qtyByOffer.get(line.offerId) || 0) + line.qty);
+  const offersById = new Map();
+  let currency = '';
+  for (const [offerId, qty] of qtyByOffer.entries()) {
+    const offer = loadMockData().offers.find(o => o && o.id === offerId && o.merchantId === merchantId);
+    if (!offer || !offer.active) return { status: 404, error: 'OFFER_NOT_FOUND' };
+    if (typeof offer.maxPerOrder === 'number' && qty > offer.maxPerOrder) return { status: 400, error: 'QTY_LIMIT' };
+    if (currency && offer.currency !== currency) return { status: 400, error: 'CURRENCY_MISMATCH' };
+    currency = offer.currency;
+    offersById.set(offerId, offer);
+  }
+  // amountMinor is required for open-value offers; for fixed ones it may be omitted but must match when sent
+  for (const line of lines) {
+    const offer = offersById.get(line.offerId);
+    if (line.amountMinor === undefined && !isOpenValueOffer(offer)) line.amountMinor = offer.amountMinor;
+    if (!isValidOfferAmount(offer, line.amountMinor)) return { status: 400, error: 'INVALID_AMOUNT' };
+  }
+  return { currency, offersById };
+}
+
+// Server-side pricing shared by quote and purchase, so the quoted total is what the payment must cover.
+// Returns { error } for a promo code that doesn't apply.
+function priceMockOrder(merchantId, currency, lines, offersById, promoCode) {
+  const byLine = new Map(); // same offer and amount -> one quote line
+  for (const { offerId, qty, amountMinor } of lines) {
+    const key = `${offerId}:${amountMinor}`;
+    const line = byLine.get(key) || { offerId, name: offersById.get(offerId).name, qty: 0, unitAmountMinor: amountMinor, totalMinor: 0 };
+    line.qty += qty;
+    line.totalMinor += qty * amountMinor;
+    byLine.set(key, line);
+  }
+  const quoteLines = Array.from(byLine.values());
+  const subtotalMinor = quoteLines.reduce((sum, line) => sum + line.totalMinor, 0);
+  const discounts = [];
+  let appliedCode = '';
+  if (typeof promoCode === 'string' && promoCode.trim()) {
+    const promo = findMockPromo(merchantId, promoCode);
+    const check = checkMockPromo(promo, currency, subtotalMinor);
+    if (check) return { error: check };
+    const amountMinor = promo.percentOff
+      ? Math.round(subtotalMinor * promo.percentOff / 100)
+      : Math.min(promo.amountOffMinor, subtotalMinor);
+    appliedCode = promo.code;
+    discounts.push({ code: promo.code, label: promo.label || promo.code, amountMinor });
+  }
+  const discountMinor = discounts.reduce((sum, d) => sum + d.amountMinor, 0);
+  const merchant = findMockMerchant(merchantId);
+  const feeMinor = merchant && Number.isInteger(merchant.feeMinor) ? merchant.feeMinor : 0;
+  return {
+    lines: quoteLines,
+    subtotalMinor,
+    discounts,
+    discountMinor,
+    feeMinor,
+    totalMinor: subtotalMinor - discountMinor + feeMinor,
+    promoCode: appliedCode,
+  };
+}
+
+function findMockPromo(merchantId, code) {
+  const wanted = String(code).trim().toUpperCase();
+  return loadMockData().promoCodes.find(p => p && p.merchantId === merchantId && String(p.code).toUpperCase() === wanted) || null;
+}
+
+// INVALID_PROMO_CODE (unknown, other merchant or currency), PROMO_CODE_EXPIRED (past expiresAt, inclusive)
+// or PROMO_MIN_SPEND (subtotal below minSubtotalMinor); '' when the code applies
+function checkMockPromo(promo, currency, subtotalMinor) {
+  if (!promo || (promo.currency && promo.currency !== currency)) return 'INVALID_PROMO_CODE';
+  if (!(promo.percentOff > 0) && !(promo.amountOffMinor > 0)) return 'INVALID_PROMO_CODE';
+  if (promo.expiresAt && new Date().toISOString().slice(0, 10) > promo.expiresAt) return 'PROMO_CODE_EXPIRED';
+  if (Number.isInteger(promo.minSubtotalMinor) && subtotalMinor < promo.minSubtotalMinor) return 'PROMO_MIN_SPEND';
+  return '';
+}
+
+function mockQuote(body) {
+  const merchantId = body && typeof body.merchantId === 'string' ? body.merchantId : '';
+  if (!findMockMerchant(merchantId)) return { status: 400, json: { error: 'INVALID_MERCHANT' } };
+  const lines = [];
+  for (const it of (Array.isArray(body.items) ? body.items : [])) {
+    if (!it || typeof it.offerId !== 'string') continue;
+    const qty = Number(it.qty);
+    if (!Number.isInteger(qty) || qty < 0) return { status: 400, json: { error: 'QTY_LIMIT' } };
+    if (qty > 0) lines.push({ offerId: it.offerId, qty, amountMinor: it.amountMinor });
+  }
+  if (lines.length === 0) return { status: 400, json: { error: 'NO_ITEMS' } };
+  const checked = validateMockLines(merchantId, lines);
+  if (checked.error) return { status: checked.status, json: { error: checked.error } };
+  const priced = priceMockOrder(merchantId, checked.currency, lines, checked.offersById, body.promoCode);
+  if (priced.error) return { status: 400, json: { error: priced.error } };
+  return { status: 200, json: Object.assign({ merchantId, currency: checked.currency }, priced) };
+}
+
+// Tokens for the widget's bundled "fake" payment provider. The outcome is decided when the card is tokenised, so
+// only the token, never the card number or expiry, travels with the purchase. Test cards decline with their own
+// codes; any other valid card number is approved.
+const MOCK_DECLINED_CARDS = {
+  '4000000000000002': 'CARD_DECLINED',
+  '4000000000009995': 'INSUFFICIENT_FUNDS',
+  '4000000000000069': 'EXPIRED_CARD',
+  '4000000000000127': 'INCORRECT_CVC',
+  '4000000000000119': 'PROCESSING_ERROR',
+};
+
+const MOCK_PAYMENT_TOKEN_TTL_MS = 60 * 60 * 1000;
+const mockPaymentTokens = new Map(); // token -> { merchantId, amountMinor, currency, decline, expiresAt }; newest MOCK_ORDER_LIMIT
+
+function mockPaymentToken(body) {
+  const merchantId = typeof body.merchantId === 'string' ? body.merchantId : '';
+  if (!findMockMerchant(merchantId)) return { status: 400, json: { error: 'INVALID_MERCHANT' } };
+  const number = String(body.number || '');
+  const exp = /^(\d{2})\/(\d{2})$/.exec(String(body.exp || ''));
+  if (!/^\d{12,19}$/.test(number)) return { status: 400, json: { error: 'INVALID_CARD_NUMBER' } };
+  if (!exp || Number(exp[1]) < 1 || Number(exp[1]) > 12) return { status: 400, json: { error: 'INVALID_EXPIRY' } };
+  if (!Number.isInteger(body.amountMinor) || typeof body.currency !== 'string') return { status: 400, json: { error: 'INVALID_REQUEST' } };
+  const [month, year] = [Number(exp[1]), 2000 + Number(exp[2])];
+  const now = new Date();
+  const expired = year < now.getFullYear() || (year === now.getFullYear() && month < now.getMonth() + 1);
+  const token = 'tok_fake_' + crypto.randomBytes(16).toString('hex');
+  mockPaymentTokens.set(token, {
+    merchantId,
+    amountMinor: body.amountMinor,
+    currency: body.currency,
+    decline: MOCK_DECLINED_CARDS[number] || (expired ? 'EXPIRED_CARD' : ''),
+    expiresAt: Date.now() + MOCK_PAYMENT_TOKEN_TTL_MS,
+  });
+  if (mockPaymentTokens.size > MOCK_ORDER_LIMIT) mockPaymentTokens.delete(mockPaymentTokens.keys().next().value);
+  return { status: 200, json: { token } };
+}
+
+function verifyMockPayment(payment, merchantId, currency, totalMinor) {
+  if (!payment || typeof payment.token !== 'string') return { status: 402, json: { error: 'PAYMENT_REQUIRED' } };
+  const card = payment.provider === 'fake' ? mockPaymentTokens.get(payment.token) : null;
+  if (!card || card.merchantId !== merchantId || card.expiresAt < Date.now()) {
+    return { status: 400, json: { error: 'INVALID_PAYMENT_TOKEN' } };
+  }
+  // The token authorises one amount; a changed cart needs a new payment
+  if (card.amountMinor !== totalMinor || card.currency !== currency) return { status: 400, json: { error: 'PAYMENT_AMOUNT_MISMATCH' } };
+  return card.decline ? { status: 402, json: { error: card.decline } } : null;
+}
+
+function mockPurchase(body) {
+  const merchantId = body && typeof body.merchantId === 'string' ? body.merchantId : '';
+  if (!findMockMerchant(merchantId)) return { status: 400, json: { error: 'INVALID_MERCHANT' } };
+
+  const parsed = parseMockRecipients(body.recipients);
+  if (parsed.error) return { status: 400, json: { error: parsed.error } };
+  const recipients = parsed.byId;
+  const defaultRecipientId = recipients.size ? recipients.keys().next().value : '';
+
+  // Lines stay split per recipient; maxPerOrder applies to the total per offer
+  const requested = [];
+  for (const it of (Array.isArray(body.items) ? body.items : [])) {
+    if (!it || typeof it.offerId !== 'string') continue;
+    const qty = Number(it.qty);
+    if (!Number.isInteger(qty) || qty < 0) return { status: 400, json: { error: 'QTY_LIMIT' } };
+    if (qty === 0) continue;
+    const recipientId = it.recipientId === undefined ? defaultRecipientId : it.recipientId;
+    if (recipients.size && !recipients.has(recipientId)) return { status: 400, json: { error: 'INVALID_RECIPIENT' } };
+    requested.push({ offerId: it.offerId, qty, recipientId, amountMinor: it.amountMinor });
+  }
+  if (requested.length === 0) return { status: 400, json: { error: 'NO_ITEMS' } };
+
+  const checked = validateMockLines(merchantId, requested);
+  if (checked.error) return { status: checked.status, json: { error: checked.error } };
+  const { currency } = checked;
+  const priced = priceMockOrder(merchantId, currency, requested, checked.offersById, body.promoCode);
+  if (priced.error) return { status: 400, json: { error: priced.error } };
+  const declined = verifyMockPayment(body.payment, merchantId, currency, priced.totalMinor);
+  if (declined) return declined;
+
+  const buyer = {
+    name: String((body.buyer && body.buyer.name) || ''),
+    email: String((body.buyer && body.buyer.email) || ''),
+  };
+  // Legacy single-recipient orders: everything goes to recipient.email (or the buyer)
+  const legacyEmail = String((body.recipient && body.recipient.email) || buyer.email);
+  const giftCards = [];
+  for (const { offerId, qty, recipientId, amountMinor } of requested) {
+    const r = recipients.get(recipientId);
+    for (let i = 0; i < qty; i++) {
+      const card = { code: generateGiftCode(), offerId, valueMinor: amountMinor, currency, recipientEmail: r ? r.email : legacyEmail };
+      if (r) {
+        card.recipientId = r.id;
+        card.recipientName = r.name;
+        if (r.message) card.message = r.message;
+        if (r.deliverAt) card.deliverAt = r.deliverAt;
+      }
+      giftCards.push(card);
+    }
+  }
+  const order = {
+    orderId: generateOrderId(),
+    merchantId,
+    currency,
+    subtotalMinor: priced.subtotalMinor,
+    discountMinor: priced.discountMinor,
+    discounts: priced.discounts,
+    feeMinor: priced.feeMinor,
+    totalMinor: priced.totalMinor,
+    ...(priced.promoCode ? { promoCode: priced.promoCode } : {}),
+    buyer,
+    giftCards,
+  };
+  issueMockGiftCards(order);
+  return { status: 200, json: order };
+}
+
+function routeLabel(pathname) {
+  if (KNOWN_ROUTES.includes(pathname)) return pathname;
+  if (/^\/api\/bff\/demo\/orders\/[^/]+\/resend$/.test(pathname)) return '/api/bff/demo/orders/:orderId/resend';
+  return pathname.startsWith('/api/') ? '/api/*' : 'static';
+}
+
+// Gives the request its ID and a context the handlers fill in (merchantId, upstreamStatus, error, detail);
+// when the response is done, that becomes a log line and metrics
+function trackRequest(req, res, urlObj) {
+  const incoming = req.headers['x-request-id'];
+  const requestId = typeof incoming === 'string' && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  req.headers['x-request-id'] = requestId; // forwarded to the upstream with the other allowlisted headers
+  res.setHeader('X-Request-Id', requestId);
+  const ctx = { route: routeLabel(urlObj.pathname), merchantId: urlObj.searchParams.get('merchantId') || '', upstreamStatus: null, error: '', detail: '' };
+  req.ctx = res.ctx = ctx;
+  const started = process.hrtime.bigint();
+  res.on('close', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    recordRequestMetrics(req.method, ctx.route, res.statusCode, seconds, ctx.upstreamStatus);
+    if (!REQUEST_LOG) return;
+    console.log(JSON.stringify(redactLogFields({
+      time: new Date().toISOString(),
+      requestId,
+      method: req.method,
+      route: ctx.route,
+      path: urlObj.pathname,
+      query: Object.fromEntries(urlObj.searchParams),
+      status: res.statusCode,
+      // Client went away before the response was complete
+      ...(res.writableFinished ? {} : { aborted: true }),
+      latencyMs: Math.round(seconds * 10000) / 10,
+      merchantId: ctx.merchantId || null,
+      upstreamStatus: ctx.upstreamStatus,
+      ...(ctx.error ? { error: ctx.error } : {}),
+      ...(ctx.detail ? { detail: ctx.detail } : {}),
+    })));
+  });
+}
+
+// Secret fields are replaced wholesale; email addresses are masked wherever they appear in a string
+function redactLogFields(value, name = '') {
+  if (typeof value === 'string') return LOG_SECRET_FIELDS.test(name) ? '[redacted]' : value.replace(LOG_EMAIL_RE, '[email]');
+  if (!value || typeof value !== 'object') return value;
+  const out = Array.isArray(value) ? [] : {};
+  for (const [key, v] of Object.entries(value)) out[key] = redactLogFields(v, Array.isArray(value) ? name : key);
+  return out;
+}
+
+// Counters and histograms since startup, keyed by their label values joined with '|'
+const requestCounts = new Map(); // method|route|status -> count
+const requestDurations = new Map(); // method|route -> { buckets, sum, count }
+const upstreamCounts = new Map(); // route|status -> count
+
+function recordRequestMetrics(method, route, status, seconds, upstreamStatus) {
+  const m = METRIC_METHODS.includes(method) ? method : 'OTHER';
+  const countKey = `${m}|${route}|${status}`;
+  requestCounts.set(countKey, (requestCounts.get(countKey) || 0) + 1);
+  const durationKey = `${m}|${route}`;
+  const d = requestDurations.get(durationKey) || { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+  LATENCY_BUCKETS.forEach((le, i) => { if (seconds <= le) d.buckets[i]++; });
+  d.sum += seconds;
+  d.count++;
+  requestDurations.set(durationKey, d);
+  if (upstreamStatus !== null) {
+    const upstreamKey = `${route}|${upstreamStatus}`;
+    upstreamCounts.set(upstreamKey, (upstreamCounts.get(upstreamKey) || 0) + 1);
+  }
+}
+
+function metricLabels(names, key, extra = '') {
+  const values = key.split('|');
+  const pairs = names.map((name, i) => `${name}="${values[i].replace(/[\\"\n]/g, c => (c === '\n' ? '\\n' : `\\${c}`))}"`);
+  return `{${pairs.concat(extra ? [extra] : []).join(',')}}`;
+}
+
+// Prometheus text exposition format 0.0.4
+function renderMetrics() {
+  const lines = [
+    '# HELP overlay_http_requests_total Requests answered, by method, route and status.',
+    '# TYPE overlay_http_requests_total counter',
+  ];
+  for (const [key, count] of requestCounts) lines.push(`overlay_http_requests_total${metricLabels(['method', 'route', 'status'], key)} ${count}`);
+  lines.push(
+    '# HELP overlay_http_request_duration_seconds Time from request to the end of the response.',
+    '# TYPE overlay_http_request_duration_seconds histogram',
+  );
+  for (const [key, d] of requestDurations) {
+    LATENCY_BUCKETS.forEach((le, i) => lines.push(`overlay_http_request_duration_seconds_bucket${metricLabels(['method', 'route'], key, `le="${le}"`)} ${d.buckets[i]}`));
+    lines.push(`overlay_http_request_duration_seconds_bucket${metricLabels(['method', 'route'], key, 'le="+Inf"')} ${d.count}`);
+    lines.push(`overlay_http_request_duration_seconds_sum${metricLabels(['method', 'route'], key)} ${d.sum}`);
+    lines.push(`overlay_http_request_duration_seconds_count${metricLabels(['method', 'route'], key)} ${d.count}`);
+  }
+  lines.push(
+    '# HELP overlay_upstream_responses_total Upstream answers in proxy mode, by route and upstream status.',
+    '# TYPE overlay_upstream_responses_total counter',
+  );
+  for (const [key, count] of upstreamCounts) lines.push(`overlay_upstream_responses_total${metricLabels(['route', 'status'], key)} ${count}`);
+  return lines.join('\n') + '\n';
+}
+
+function handleMetrics(req, res) {
+  if (req.method !== 'GET') return sendJson(res, 405, { error: 'METHOD_NOT_ALLOWED' });
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(renderMetrics());
+}
 
 const server = http.createServer((req, res) => {
   const urlObj = new URL(req.url, `http://${req.headers.host}`);
+  trackRequest(req, res, urlObj);
+  if (urlObj.pathname === '/metrics') return handleMetrics(req, res);
+  if (urlObj.pathname.startsWith('/api/')) {
+    setCorsHeaders(req, res);
+    // No Access-Control-Allow-Origin on this answer, so the browser blocks the call (or its preflight)
+    if (!originKnown(req)) return sendJson(res, 403, { error: 'ORIGIN_NOT_ALLOWED' });
+  }
+  if (urlObj.pathname === '/api/bff/demo/session') return handleSession(req, res);
   if (urlObj.pathname === '/api/bff/demo/catalog') return handleCatalog(req, res, urlObj);
   if (urlObj.pathname === '/api/bff/demo/purchase') return handlePurchase(req, res);
+  if (urlObj.pathname === '/api/bff/demo/quote') return handleQuote(req, res);
+  if (urlObj.pathname === '/api/bff/demo/health') return handleHealth(req, res, urlObj);
+  if (urlObj.pathname === '/api/bff/demo/orders') return handleOrders(req, res, urlObj);
+  const resendMatch = /^\/api\/bff\/demo\/orders\/([\w-]+)\/resend$/.exec(urlObj.pathname);
+  if (resendMatch) return handleOrderResend(req, res, resendMatch[1]);
+  if (urlObj.pathname === '/api/bff/demo/balance') return handleBalance(req, res, urlObj);
+  if (MOCK_BFF && urlObj.pathname === '/api/bff/demo/payments/fake-tokens') return handleFakePaymentToken(req, res);
+  if (urlObj.pathname.startsWith('/api/bff/')) return handlePassthrough(req, res, urlObj);
   if (req.method === 'OPTIONS') return handleOptions(req, res);
   return serveStatic(req, res, urlObj);
 });
@@ -191,5 +1458,9 @@ const server = http.createServer((req, res) => {
 server.listen(PORT, () => {
   console.log(`Dev server running at http://localhost:${PORT}`);
   console.log(`Static root: ${PUBLIC_DIR}`);
+  console.log(`Allowed origins: ${ALLOWED_ORIGINS ? [...ALLOWED_ORIGINS].map(([m, list]) => `${m}: ${[...list].join(' ') || '-'}`).join('; ') : 'localhost (default)'}`);
+  console.log(`Widget auth: ${AUTH_MODE}${AUTH_MODE === 'session' && REQUIRED_KEY ? ' (WIDGET_OVERLAY_KEY is ignored; set WIDGET_AUTH=static-key to use it)' : ''}`);
+  if (UPSTREAM_BFF_BASE) console.log(`Proxying BFF to: ${UPSTREAM_BFF_BASE}`);
+  else if (MOCK_BFF) console.log(`Mock BFF catalog: ${MOCK_CATALOG_FILE}`);
 });
 
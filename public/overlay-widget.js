@@ -9,20 +9,122 @@ How to embed:
 - Include the script on your page with data-* attributes:
   <script src="/overlay-widget.js"
           data-merchant-id="demo-merchant-1"
-          data-api-key="DEMO_KEY_123"
           data-api-base="http://localhost:3000"></script>
   - data-merchant-id: required (e.g., demo-merchant-1)
-  - data-api-key: optional in local; if provided, sent as `x-overlay-key`
+  - data-auth: optional; "session" (default) fetches a short-lived token from the BFF and sends it as
+    Authorization: Bearer, renewing it before it expires and once after a 401 SESSION_EXPIRED/SESSION_INVALID.
+    "static-key" is the legacy mode for BFFs without /session
+  - data-api-key: static-key mode only; sent as `x-overlay-key` (visible to anyone who views the page)
   - data-api-base: optional; defaults to same origin
+  - data-mount: optional CSS selector; renders the launcher button inside that element instead of floating
+  - data-mode: optional; "inline" renders the catalog/checkout/confirmation directly inside the data-mount
+    element (no button, no backdrop, layout follows the container's width)
+
+Localization:
+- data-locale: BCP 47 tag (e.g. de-AT); defaults to <html lang>, then en. Lookup falls back de-AT -> de -> en.
+- Bundled catalogs: en, de, fr, es, nl. Prices use Intl.NumberFormat with the same locale.
+
+Catalog:
+- Offers are cached per instance and revalidated in the background (stale-while-revalidate) when older than the
+  BFF's Cache-Control max-age, else data-catalog-ttl (seconds, default 60), and on every reopen. Requests send
+  If-None-Match with the last ETag, so an unchanged catalog costs a 304. If revalidation drops, reprices or
+  limits something in the cart, the cart is adjusted and a notice above the catalog says what changed.
+- With more than one offer: text search over name/description, tag chips from the offers' tags and sorting
+  (featured = BFF order, price, name). The filter survives re-renders; reset() clears it.
+
+Balance check:
+- A "Check balance" tab next to the catalog looks up a gift card code (masked input, XXXX-XXXX-XXXX-XXXX format)
+  and shows the remaining value, status (active, redeemed, expired) and expiry. The code is never stored.
+
+Promo codes:
+- The checkout summary is priced by the BFF's quote endpoint (line totals, discounts, fees, total). A promo code
+  entered there is re-quoted, sent with the purchase as promoCode and saved with the draft; the payment step charges
+  the quoted total.
+
+Payment:
+- Checkout collects buyer/recipient details, then a payment step renders the provider's fields and confirms them into
+  a token that goes into the purchase payload as payment: { provider, token }.
+- data-payment-provider: adapter name (default "none", which skips the step for BFFs that take payment elsewhere)
+- OverlayWidget.registerPaymentProvider(name, factory) adds an adapter; see createFakePaymentProvider for the contract.
+- "fake" is an opt-in test provider for the mock BFF (4242 4242 4242 4242 is approved, test cards decline; see README).
+- The payment token is never saved: an unconfirmed order restored after a reload has to be paid again.
+- Declines (CARD_DECLINED, INSUFFICIENT_FUNDS, …) show on the error view with a "Try another card" button.
+
+Persistence:
+- The cart and checkout form (buyer, recipients, unit assignments) survive reloads, keyed per merchant ID.
+- data-persist: session (default, sessionStorage) | local (localStorage) | none (memory only)
+- data-persist-ttl: seconds until saved state expires (default 86400; refreshed on every change)
+- Restored lines are checked against the fresh catalog: inactive/unknown offers are dropped, quantities clamped,
+  chosen amounts of open-value offers snapped to the allowed range.
+- The cart is emptied after a successful purchase.
+- Confirmed orders (data-recent-orders, default 5; 0 keeps none) are kept for 30 days in the same storage and listed
+  under "My recent orders". The confirmation has copy buttons, a print/download receipt and "Resend email".
+- An order whose outcome is unknown (dropped connection, timeout) is saved with its Idempotency-Key, so resubmitting
+  it after a reload still can't place it twice.
+
+Theming:
+- data-theme-<token>="value" or data-theme='{"primary":"#e11d48"}' sets CSS custom properties (--ow-<token>).
+  Tokens: primary, primaryHover, primarySoft, onPrimary, text, textSecondary, textMuted, textSubtle, surface,
+  surfaceAlt, surfaceSunken, border, borderStrong, neutral, danger, dangerSoft, dangerInk, backdrop, shadow,
+  font, fontSize, radius, radiusMd, radiusSm, radiusXs, fabRadius, offsetX, offsetY, zIndex
+- data-color-scheme: light (default) | dark | auto (follows prefers-color-scheme)
+- data-position: bottom-right (default) | bottom-left | top-right | top-left
+- data-button-label / data-button-icon: launcher text and icon (default "Gifts" / 🎁; empty hides)
+
+Multiple instances:
+- Include the script once per merchant. Each tag gets its own shadow root, offers, cart and health state.
+- A second tag for an already mounted merchant ID is ignored.
 
 Notes on headers/CORS:
-- The demo BFF endpoints are CORS-enabled. In local dev, `x-overlay-key` is optional unless the server env sets `WIDGET_OVERLAY_KEY`.
+- The demo BFF endpoints allow CORS for the page origins on the merchant's allowlist. Session mode needs the
+  Authorization request header allowed; in static-key mode `x-overlay-key` is optional unless the server env sets
+  `WIDGET_OVERLAY_KEY`.
+- When a cross-origin BFF can't be read, a no-cors request to its health route tells a CORS block (CORS_BLOCKED)
+  from an unreachable server (NETWORK). A 403 ORIGIN_NOT_ALLOWED gets the same message.
+- The BFF's `X-Request-Id` response header (exposed via CORS) is shown as "Reference: ..." on error views.
 - This widget uses fetch() to call:
+  - POST /api/bff/demo/session (session token for the other calls; kept in memory only)
   - GET  /api/bff/demo/catalog?merchantId=...
-  - POST /api/bff/demo/purchase
+  - POST /api/bff/demo/quote (checkout summary and promo codes)
+  - POST /api/bff/demo/purchase (Idempotency-Key header; 15 s timeout, one automatic retry with the same key on
+    network errors, timeouts and 5xx; a 429 shows a Retry-After countdown, then "Try again" sends the same order)
+  - GET  /api/bff/demo/orders?merchantId=...&idempotencyKey=... ("Check order status" after an unconfirmed purchase)
+  - POST /api/bff/demo/orders/:orderId/resend ("Resend email" on the confirmation)
+  - POST /api/bff/demo/payments/fake-tokens (only with data-payment-provider="fake": test card -> opaque token)
+  - GET  /api/bff/demo/balance?merchantId=...&code=... ("Check balance" tab; 429 answers show Retry-After)
+  - GET  /api/bff/demo/health?merchantId=... (status dot: once on load, then retries with exponential backoff
+    from 5 s to 5 min after failures; paused while the tab is hidden, rechecked on online/offline)
+
+JavaScript API (window.OverlayWidget):
+- get(merchantId): the instance for a merchant (same methods as below); list(): every mounted instance
+- The methods below on window.OverlayWidget itself act on the first mounted instance
+- open() / close(): show or hide the modal
+- registerPaymentProvider(name, factory): make a payment adapter available to data-payment-provider (registry only)
+- refresh(): revalidate the catalog now; resolves true on success, false if the BFF could not be reached
+- setQuantity(offerId, qty, amountMinor?): set a cart line (clamped to maxPerOrder once offers are loaded); 0 removes it.
+  amountMinor picks the card value for open-value offers (snapped to the offer's range/step/presets)
+- getCart(): { merchantId, items:[{offerId,qty,amountMinor}], count, currency, subtotalMinor } (amountMinor/currency/subtotal
+  null or missing until offers load)
+- reset(): clear the cart and last order, back to the catalog
+- setTheme(theme): apply theme tokens at runtime (same keys as data-theme; null removes an override)
+- destroy(): remove the widget from the page and detach global listeners
+
+DOM events (CustomEvent, dispatched on the script element; they bubble to document and window):
+- overlay:open / overlay:close
+- overlay:cart-change       { offerId, qty, previousQty, count, currency, subtotalMinor }
+                            (plus amountMinor, previousAmountMinor when the value of an open-value line changes)
+- overlay:checkout-start    { items, count, currency, subtotalMinor }
+- overlay:purchase-submit   { items, recipientCount, count, currency, subtotalMinor }
+- overlay:purchase-success  { orderId, currency, subtotalMinor, feeMinor, totalMinor, giftCardCount }
+- overlay:purchase-error    { code }
+Every detail also carries merchantId. Payloads never include gift-card codes or email addresses.
 
 Accessibility:
-- ESC closes the modal. Clicking the backdrop closes the modal.
+- Opening moves focus into the dialog, Tab/Shift+Tab stay inside it, and closing returns focus to the launcher
+  (or whichever element had focus when open() was called). ESC (while open) and clicking the backdrop close it.
+- Quantity fields are spinbuttons: ArrowUp/ArrowDown step by one, Home/End jump to 0/maxPerOrder.
+- Quantity and amount changes and form errors are announced through a polite live region; error views use role="alert".
+- Invalid checkout fields get aria-invalid and aria-describedby pointing at their hint; focus goes to the first one.
 
 Constraints met:
 - Dependency-free (no bundlers/packages). Shadow DOM to isolate styles.
@@ -35,582 +137,3762 @@ Constraints met:
     return;
   }
 
-  // Read config from script tag
-  const MERCHANT_ID = scriptEl.getAttribute('data-merchant-id') || '';
-  const API_KEY = scriptEl.getAttribute('data-api-key') || '';
-  const API_BASE = (scriptEl.getAttribute('data-api-base') || window.location.origin).replace(/\/$/, '');
-
-  if (!MERCHANT_ID) {
-    console.warn('[overlay-widget] Missing data-merchant-id');
-  }
-
-  // Host container + Shadow DOM
-  const hostId = 'overlay-widget-host';
-  if (document.getElementById(hostId)) {
-    // Prevent double-mount if script included multiple times
-    return;
-  }
-  const host = document.createElement('div');
-  host.id = hostId;
-  document.body.appendChild(host);
-  const root = host.attachShadow({ mode: 'open' });
-
-  // State
-  let isOpen = false;
-  let offersCache = null; // cache offers for session
-  const selected = new Map(); // offerId -> qty
-  let view = 'catalog'; // 'catalog' | 'checkout' | 'confirm' | 'error' | 'loading'
-  let lastErrorMessage = '';
-  let lastOrder = null; // store confirmation
-  const health = { status: 'idle', code: '', last: 0 }; // idle | checking | ok | error
-
-  // Utilities
-  function cls(parts) { return parts.filter(Boolean).join(' '); }
-
-  function formatMoney(currency, minor) {
-    try {
-      return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(minor / 100);
-    } catch (_) {
-      // Fallback: assume two decimals
-      const value = (minor / 100).toFixed(2);
-      return `${currency} ${value}`;
+  function mount(el) {
+    const merchantId = el.getAttribute('data-merchant-id') || '';
+    if (!merchantId) {
+      console.warn('[overlay-widget] Missing data-merchant-id');
     }
-  }
-
-  function sumSelectedSubtotalMinor(offers) {
-    let sum = 0;
-    for (const [offerId, qty] of selected.entries()) {
-      const offer = offers.find(o => o.id === offerId);
-      if (offer) sum += offer.amountMinor * qty;
+    if (registry.instances.has(merchantId)) {
+      // Prevent double-mount if the same merchant's script is included multiple times
+      console.warn(`[overlay-widget] Already mounted for merchant: ${merchantId}`);
+      return;
     }
-    return sum;
+    const mountEl = findMountTarget(el);
+    if (el.hasAttribute('data-mount') && !mountEl) {
+      console.warn(`[overlay-widget] data-mount target not found: ${el.getAttribute('data-mount')}`);
+      return;
+    }
+    registry.instances.set(merchantId, createInstance(el, merchantId, mountEl));
   }
 
-  function countSelectedItems() {
-    let count = 0;
-    for (const [, qty] of selected.entries()) count += qty;
-    return count;
+  function findMountTarget(el) {
+    const selector = el.getAttribute('data-mount') || '';
+    if (!selector) return null;
+    try { return document.querySelector(selector); } catch (_) { return null; }
   }
 
-  function getSelectedItems() {
-    const items = [];
-    for (const [offerId, qty] of selected.entries()) {
-      if (qty > 0) items.push({ offerId, qty });
-    }
-    return items;
+  function ensureRegistry() {
+    const existing = window.OverlayWidget;
+    if (existing && existing.instances instanceof Map) return existing;
+    const instances = new Map(); // merchantId -> instance API
+    // Shortcuts act on the first mounted instance, so single-widget pages need no lookup
+    const first = () => instances.values().next().value || null;
+    const reg = {
+      instances,
+      get(merchantId) { return instances.get(merchantId) || null; },
+      list() { return Array.from(instances.values()); },
+      open() { const i = first(); if (i) i.open(); },
+      close() { const i = first(); if (i) i.close(); },
+      setQuantity(offerId, qty, amountMinor) { const i = first(); return i ? i.setQuantity(offerId, qty, amountMinor) : 0; },
+      getCart() { const i = first(); return i ? i.getCart() : null; },
+      reset() { const i = first(); if (i) i.reset(); },
+      refresh() { const i = first(); return i ? i.refresh() : Promise.resolve(false); },
+      setTheme(theme) { const i = first(); if (i) i.setTheme(theme); },
+      destroy() { const i = first(); if (i) i.destroy(); },
+      // Payment providers, by the name data-payment-provider refers to; see createFakePaymentProvider for the adapter shape
+      paymentProviders: new Map([['fake', createFakePaymentProvider]]),
+      registerPaymentProvider(name, factory) {
+        if (typeof factory !== 'function') throw new TypeError('registerPaymentProvider: factory must be a function');
+        reg.paymentProviders.set(String(name), factory);
+      },
+    };
+    window.OverlayWidget = reg;
+    return reg;
   }
 
-  // API
-  async function fetchOffersOnce() {
-    if (offersCache) return offersCache;
-    const url = `${API_BASE}/api/bff/demo/catalog?merchantId=${encodeURIComponent(MERCHANT_ID)}`;
-    const headers = {};
-    if (API_KEY) headers['x-overlay-key'] = API_KEY;
-    let resp;
-    try {
-      resp = await fetch(url, { headers });
-    } catch (e) {
-      throw new Error('NETWORK');
-    }
-    if (!resp.ok) {
-      // Try parse error code
-      try {
-        const data = await resp.json();
-        if (data && data.error) throw new Error(data.error);
-      } catch (_) {}
-      throw new Error('REQUEST_FAILED');
-    }
-    try {
-      const data = await resp.json();
-      if (!data || !Array.isArray(data.offers)) throw new Error('BAD_RESPONSE');
-      const active = data.offers.filter(o => o && o.active);
-      offersCache = { merchantId: data.merchantId, offers: active };
-      return offersCache;
-    } catch (e) {
-      throw new Error('PARSE');
-    }
-  }
+  // Message catalogs. Lookup walks the locale chain (e.g. de-AT -> de -> en), so partial catalogs are fine.
+  const MESSAGES = {
+    en: {
+      'fab.label': 'Gifts',
+      'title': 'Gift Cards',
+      'status.idle': 'Status: Idle',
+      'status.checking': 'Checking…',
+      'status.ok': 'Connected',
+      'status.error': 'Error',
+      'status.recheck': 'Recheck',
+      'action.close': 'Close',
+      'action.back': 'Back',
+      'action.checkout': 'Checkout',
+      'action.submit': 'Submit Purchase',
+      'action.done': 'Done',
+      'action.checkStatus': 'Check order status',
+      'action.retry': 'Try again',
+      'action.retryIn': 'Try again in {time}',
+      'action.toPayment': 'Continue to payment',
+      'action.pay': 'Pay {total}',
+      'action.otherCard': 'Try another card',
+      'action.apply': 'Apply',
+      'action.removeCode': 'Remove code',
+      'action.copy': 'Copy',
+      'action.copied': 'Copied',
+      'action.resend': 'Resend email',
+      'action.printReceipt': 'Print receipt',
+      'action.downloadReceipt': 'Download receipt',
+      'action.recentOrders': 'My recent orders ({count})',
+      'action.forgetOrders': 'Remove these orders from this device',
+      'action.checkBalance': 'Check balance',
+      'action.showCode': 'Show',
+      'action.hideCode': 'Hide',
+      'loading': 'Loading...',
+      'loading.offers': 'Loading offers...',
+      'loading.submitting': 'Submitting order...',
+      'loading.checkingStatus': 'Checking order status...',
+      'loading.payment': 'Loading payment...',
+      'payment.title': 'Payment',
+      'payment.total': 'Total to pay: {total}',
+      'payment.processing': 'Processing payment...',
+      'payment.cardNumber': 'Card number',
+      'payment.expiry': 'Expiry (MM/YY)',
+      'payment.cvc': 'CVC',
+      'payment.testMode': 'Test mode: no real card is charged. Use 4242 4242 4242 4242 with any future date and CVC.',
+      'purchase.unknownTitle': 'We could not confirm your order',
+      'purchase.unknown': 'The connection dropped before the order was confirmed, so it may or may not have gone through. Check its status first. Trying again will not place it twice.',
+      'purchase.notPlaced': 'No order was placed. You can safely try again.',
+      'error.title': 'Something went wrong',
+      'error.reference': 'Reference: {id}',
+      'catalog.unnamed': 'Unnamed',
+      'catalog.maxPerOrder': 'Max per order: {max}',
+      'catalog.qtyLabel': 'Quantity for {name}',
+      'catalog.empty': 'No active offers.',
+      'catalog.selected': 'Selected:',
+      'catalog.subtotal': 'Subtotal:',
+      'catalog.amountRange': '{min} – {max}',
+      'catalog.amountLabel': 'Amount for {name}',
+      'catalog.amountStep': 'In steps of {step}',
+      'catalog.search': 'Search gift cards',
+      'catalog.sortLabel': 'Sort by',
+      'catalog.sort.default': 'Featured',
+      'catalog.sort.priceAsc': 'Price: low to high',
+      'catalog.sort.priceDesc': 'Price: high to low',
+      'catalog.sort.name': 'Name: A–Z',
+      'catalog.tagsLabel': 'Filter by tag',
+      'catalog.allTags': 'All',
+      'catalog.noMatches': 'No gift cards match your search.',
+      'catalog.clearFilters': 'Clear filters',
+      'catalog.results': '{count} gift cards shown',
+      'checkout.summary': 'Order Summary',
+      'checkout.each': '({price} each)',
+      'checkout.noItems': 'No items selected.',
+      'checkout.buyerName': 'Buyer Name',
+      'checkout.buyerNamePlaceholder': 'Jane Doe',
+      'checkout.buyerNameHint': 'Please enter your name',
+      'checkout.buyerEmail': 'Buyer Email',
+      'checkout.recipientEmail': 'Recipient Email',
+      'checkout.emailHint': 'Please enter a valid email',
+      'checkout.recipient': 'Recipient {n}',
+      'checkout.recipientName': 'Recipient Name',
+      'checkout.recipientNameHint': 'Please enter the recipient’s name',
+      'checkout.message': 'Personal message (optional)',
+      'checkout.messagePlaceholder': 'Happy birthday!',
+      'checkout.deliverAt': 'Delivery date (optional)',
+      'checkout.deliverAtHint': 'Choose a date from today up to one year ahead',
+      'checkout.addRecipient': '+ Add recipient',
+      'checkout.removeRecipient': 'Remove',
+      'checkout.assign': 'Who gets which card?',
+      'checkout.assignUnit': '{name} #{n}',
+      'checkout.unassignedHint': 'Assign at least one gift card to this recipient',
+      'checkout.promo': 'Promo code',
+      'checkout.promoPlaceholder': 'Enter code',
+      'checkout.promoApplied': 'Code {code} applied',
+      'checkout.subtotal': 'Subtotal',
+      'checkout.discount': 'Discount',
+      'checkout.fees': 'Fees',
+      'checkout.total': 'Total',
+      'checkout.quoting': 'Calculating total…',
+      'checkout.quoteFailed': 'We could not calculate the total right now. It is confirmed before you pay.',
+      'confirm.title': 'Order Confirmed',
+      'confirm.orderId': 'Order ID:',
+      'confirm.total': 'Total:',
+      'confirm.discount': 'Discount:',
+      'confirm.codes': 'Issued Codes',
+      'confirm.noCodes': 'No codes issued.',
+      'confirm.missing': 'Missing order',
+      'confirm.deliverOn': 'Scheduled for {date}',
+      'confirm.placedAt': 'Placed:',
+      'confirm.copied': 'Code {code} copied',
+      'confirm.copyFailed': 'Copying is not available here. Select the code to copy it.',
+      'confirm.resent': 'Email sent again to {email}',
+      'receipt.title': 'Receipt',
+      'receipt.buyer': 'Buyer:',
+      'receipt.note': 'Keep this receipt safe: gift card codes work like cash.',
+      'orders.title': 'My recent orders',
+      'orders.empty': 'No recent orders on this device.',
+      'orders.summary': '{total} · {count} codes',
+      'orders.stored': 'Saved on this device only.',
+      'tabs.label': 'Gift card sections',
+      'tabs.shop': 'Buy gift cards',
+      'tabs.balance': 'Check balance',
+      'balance.intro': 'Enter the code from your gift card email to see what is left on it.',
+      'balance.code': 'Gift card code',
+      'balance.codeHint': 'Enter the 16 letters and digits of your code.',
+      'balance.checking': 'Checking balance…',
+      'balance.remaining': 'Remaining balance',
+      'balance.value': 'Original value',
+      'balance.status': 'Status',
+      'balance.validUntil': 'Valid until',
+      'balance.expiredOn': 'Expired on',
+      'balance.status.active': 'Active',
+      'balance.status.redeemed': 'Fully redeemed',
+      'balance.status.expired': 'Expired',
+      'balance.retryIn': 'You can try again in {minutes} min.',
+      'notice.title': 'Your cart was updated:',
+      'notice.removed': '{name} is no longer available and was removed.',
+      'notice.priceChanged': '{name} now costs {price}.',
+      'notice.qtyReduced': '{name} is limited to {max} per order, so the quantity was reduced.',
+      'notice.dismiss': 'Dismiss',
+      'a11y.qtyChanged': '{name}: quantity {qty}. Selected: {count}',
+      'a11y.amountChanged': '{name}: amount {amount}',
+      'a11y.increase': 'Increase quantity for {name}',
+      'a11y.decrease': 'Decrease quantity for {name}',
+      'a11y.formErrors': 'Please correct the highlighted fields.',
+      'a11y.copyCode': 'Copy code {code}',
+      'a11y.resendTo': 'Resend email to {email}',
+      'errors.NO_ITEMS': 'Your cart is empty. Add at least one gift card.',
+      'errors.OFFER_NOT_FOUND': 'A gift card in your cart is no longer available.',
+      'errors.QTY_LIMIT': 'You selected more of a gift card than one order allows.',
+      'errors.INVALID_AMOUNT': 'The chosen amount is not available for this gift card.',
+      'errors.CURRENCY_MISMATCH': 'Gift cards in different currencies cannot be bought in one order.',
+      'errors.INVALID_MERCHANT': 'This shop is not set up for gift cards.',
+      'errors.UNAUTHORISED': 'The gift card service did not accept this request.',
+      'errors.SESSION_REQUIRED': 'Your session with the gift card service could not be verified. Reload the page and try again.',
+      'errors.SESSION_INVALID': 'Your session with the gift card service could not be verified. Reload the page and try again.',
+      'errors.SESSION_EXPIRED': 'Your session with the gift card service could not be verified. Reload the page and try again.',
+      'errors.ORIGIN_NOT_ALLOWED': 'Gift cards can’t be sold on this website yet. Please contact the shop.',
+      'errors.CORS_BLOCKED': 'Gift cards can’t be sold on this website yet. Please contact the shop.',
+      'errors.NETWORK': 'We could not reach the gift card service. Check your connection and try again.',
+      'errors.REQUEST_FAILED': 'The request failed. Please try again.',
+      'errors.PARSE': 'We received an unexpected response. Please try again.',
+      'errors.BAD_RESPONSE': 'We received an unexpected response. Please try again.',
+      'errors.INVALID_RECIPIENT': 'A recipient is missing or has an invalid email address.',
+      'errors.INVALID_DELIVERY_DATE': 'A delivery date is in the past or too far ahead.',
+      'errors.MESSAGE_TOO_LONG': 'A personal message is too long.',
+      'errors.TIMEOUT': 'The gift card service took too long to respond.',
+      'errors.ORDER_NOT_FOUND': 'No matching order was found.',
+      'errors.IDEMPOTENCY_KEY_REUSED': 'Your order changed while an earlier attempt was still open. Please submit it again.',
+      'errors.ORDER_IN_PROGRESS': 'Your order is still being processed. Check its status in a moment.',
+      'errors.CARD_DECLINED': 'Your card was declined. Try another card.',
+      'errors.INSUFFICIENT_FUNDS': 'Your card has insufficient funds.',
+      'errors.EXPIRED_CARD': 'Your card has expired.',
+      'errors.INCORRECT_CVC': 'The card security code is incorrect.',
+      'errors.PROCESSING_ERROR': 'The payment could not be processed. Please try again.',
+      'errors.INVALID_CARD_NUMBER': 'Enter a valid card number.',
+      'errors.INVALID_EXPIRY': 'Enter a valid expiry date (MM/YY) in the future.',
+      'errors.INVALID_CVC': 'Enter the 3 or 4 digit security code.',
+      'errors.PAYMENT_REQUIRED': 'Payment details are missing.',
+      'errors.INVALID_PAYMENT_TOKEN': 'The payment could not be verified. Please enter your card again.',
+      'errors.PAYMENT_AMOUNT_MISMATCH': 'The payment amount no longer matches your order. Please pay again.',
+      'errors.PAYMENT_PROVIDER_UNAVAILABLE': 'Payment is not available right now.',
+      'errors.INVALID_PROMO_CODE': 'This promo code is not valid.',
+      'errors.PROMO_CODE_EXPIRED': 'This promo code has expired.',
+      'errors.PROMO_MIN_SPEND': 'Your order does not reach the minimum amount for this promo code.',
+      'errors.RESEND_LIMIT': 'This email was already resent several times. Please contact support.',
+      'errors.CODE_NOT_FOUND': 'We could not find a gift card with this code. Check it for typos.',
+      'errors.INVALID_CODE_FORMAT': 'This does not look like a gift card code.',
+      'errors.TOO_MANY_ATTEMPTS': 'Too many attempts with codes that were not found.',
+      'errors.RATE_LIMITED': 'Too many requests right now. Your order was not placed.',
+      'errors.INVALID_REQUEST': 'Some order details are invalid. Go back, check the form and try again.',
+      'errors.INVALID_EMAIL': 'The buyer email address is invalid.',
+      'rateLimit.retryIn': 'You can try again in {time}.',
+      'rateLimit.ready': 'You can try again now.',
+      'errors.UNKNOWN': 'Please try again in a moment.',
+    },
+    de: {
+      'fab.label': 'Geschenke',
+      'title': 'Geschenkkarten',
+      'status.idle': 'Status: Bereit',
+      'status.checking': 'Prüfe…',
+      'status.ok': 'Verbunden',
+      'status.error': 'Fehler',
+      'status.recheck': 'Erneut prüfen',
+      'action.close': 'Schließen',
+      'action.back': 'Zurück',
+      'action.checkout': 'Zur Kasse',
+      'action.submit': 'Kaufen',
+      'action.done': 'Fertig',
+      'action.checkStatus': 'Bestellstatus prüfen',
+      'action.retry': 'Erneut versuchen',
+      'action.retryIn': 'Erneut versuchen in {time}',
+      'action.toPayment': 'Weiter zur Zahlung',
+      'action.pay': '{total} bezahlen',
+      'action.otherCard': 'Andere Karte verwenden',
+      'action.apply': 'Einlösen',
+      'action.removeCode': 'Code entfernen',
+      'action.copy': 'Kopieren',
+      'action.copied': 'Kopiert',
+      'action.resend': 'E-Mail erneut senden',
+      'action.printReceipt': 'Beleg drucken',
+      'action.downloadReceipt': 'Beleg herunterladen',
+      'action.recentOrders': 'Meine letzten Bestellungen ({count})',
+      'action.forgetOrders': 'Diese Bestellungen von diesem Gerät entfernen',
+      'action.checkBalance': 'Guthaben prüfen',
+      'action.showCode': 'Anzeigen',
+      'action.hideCode': 'Verbergen',
+      'loading': 'Wird geladen...',
+      'loading.offers': 'Angebote werden geladen...',
+      'loading.submitting': 'Bestellung wird gesendet...',
+      'loading.checkingStatus': 'Bestellstatus wird geprüft...',
+      'loading.payment': 'Zahlung wird geladen...',
+      'payment.title': 'Zahlung',
+      'payment.total': 'Zu zahlen: {total}',
+      'payment.processing': 'Zahlung wird verarbeitet...',
+      'payment.cardNumber': 'Kartennummer',
+      'payment.expiry': 'Gültig bis (MM/JJ)',
+      'payment.cvc': 'Prüfnummer',
+      'payment.testMode': 'Testmodus: Es wird keine echte Karte belastet. Nutze 4242 4242 4242 4242 mit beliebigem künftigem Datum und Prüfnummer.',
+      'purchase.unknownTitle': 'Deine Bestellung konnte nicht bestätigt werden',
+      'purchase.unknown': 'Die Verbindung brach vor der Bestätigung ab, die Bestellung ist also vielleicht eingegangen. Prüfe zuerst den Status. Ein neuer Versuch bestellt nicht doppelt.',
+      'purchase.notPlaced': 'Es wurde keine Bestellung aufgegeben. Du kannst es gefahrlos erneut versuchen.',
+      'error.title': 'Etwas ist schiefgelaufen',
+      'error.reference': 'Referenz: {id}',
+      'catalog.unnamed': 'Ohne Namen',
+      'catalog.maxPerOrder': 'Max. pro Bestellung: {max}',
+      'catalog.qtyLabel': 'Anzahl für {name}',
+      'catalog.empty': 'Keine aktiven Angebote.',
+      'catalog.selected': 'Ausgewählt:',
+      'catalog.subtotal': 'Zwischensumme:',
+      'catalog.amountRange': '{min} – {max}',
+      'catalog.amountLabel': 'Betrag für {name}',
+      'catalog.amountStep': 'In Schritten von {step}',
+      'catalog.search': 'Geschenkkarten durchsuchen',
+      'catalog.sortLabel': 'Sortieren nach',
+      'catalog.sort.default': 'Empfohlen',
+      'catalog.sort.priceAsc': 'Preis: aufsteigend',
+      'catalog.sort.priceDesc': 'Preis: absteigend',
+      'catalog.sort.name': 'Name: A–Z',
+      'catalog.tagsLabel': 'Nach Kategorie filtern',
+      'catalog.allTags': 'Alle',
+      'catalog.noMatches': 'Keine Geschenkkarten passen zu deiner Suche.',
+      'catalog.clearFilters': 'Filter zurücksetzen',
+      'catalog.results': '{count} Geschenkkarten angezeigt',
+      'checkout.summary': 'Bestellübersicht',
+      'checkout.each': '(je {price})',
+      'checkout.noItems': 'Keine Artikel ausgewählt.',
+      'checkout.buyerName': 'Name des Käufers',
+      'checkout.buyerNamePlaceholder': 'Erika Muster',
+      'checkout.buyerNameHint': 'Bitte gib deinen Namen ein',
+      'checkout.buyerEmail': 'E-Mail des Käufers',
+      'checkout.recipientEmail': 'E-Mail des Empfängers',
+      'checkout.emailHint': 'Bitte gib eine gültige E-Mail-Adresse ein',
+      'checkout.recipient': 'Empfänger {n}',
+      'checkout.recipientName': 'Name des Empfängers',
+      'checkout.recipientNameHint': 'Bitte gib den Namen des Empfängers ein',
+      'checkout.message': 'Persönliche Nachricht (optional)',
+      'checkout.messagePlaceholder': 'Alles Gute zum Geburtstag!',
+      'checkout.deliverAt': 'Zustelldatum (optional)',
+      'checkout.deliverAtHint': 'Wähle ein Datum von heute bis in einem Jahr',
+      'checkout.addRecipient': '+ Empfänger hinzufügen',
+      'checkout.removeRecipient': 'Entfernen',
+      'checkout.assign': 'Wer bekommt welche Karte?',
+      'checkout.assignUnit': '{name} Nr. {n}',
+      'checkout.unassignedHint': 'Weise diesem Empfänger mindestens eine Geschenkkarte zu',
+      'checkout.promo': 'Gutscheincode',
+      'checkout.promoPlaceholder': 'Code eingeben',
+      'checkout.promoApplied': 'Code {code} eingelöst',
+      'checkout.subtotal': 'Zwischensumme',
+      'checkout.discount': 'Rabatt',
+      'checkout.fees': 'Gebühren',
+      'checkout.total': 'Gesamt',
+      'checkout.quoting': 'Gesamtbetrag wird berechnet…',
+      'checkout.quoteFailed': 'Der Gesamtbetrag konnte gerade nicht berechnet werden. Er wird vor der Zahlung bestätigt.',
+      'confirm.title': 'Bestellung bestätigt',
+      'confirm.orderId': 'Bestellnummer:',
+      'confirm.total': 'Gesamt:',
+      'confirm.discount': 'Rabatt:',
+      'confirm.codes': 'Ausgegebene Codes',
+      'confirm.noCodes': 'Keine Codes ausgegeben.',
+      'confirm.missing': 'Bestellung fehlt',
+      'confirm.deliverOn': 'Geplant für {date}',
+      'confirm.placedAt': 'Bestellt am:',
+      'confirm.copied': 'Code {code} kopiert',
+      'confirm.copyFailed': 'Kopieren ist hier nicht möglich. Markiere den Code, um ihn zu kopieren.',
+      'confirm.resent': 'E-Mail erneut an {email} gesendet',
+      'receipt.title': 'Beleg',
+      'receipt.buyer': 'Käufer:',
+      'receipt.note': 'Bewahre diesen Beleg sicher auf: Gutscheincodes sind wie Bargeld.',
+      'orders.title': 'Meine letzten Bestellungen',
+      'orders.empty': 'Keine letzten Bestellungen auf diesem Gerät.',
+      'orders.summary': '{total} · {count} Codes',
+      'orders.stored': 'Nur auf diesem Gerät gespeichert.',
+      'tabs.label': 'Gutschein-Bereiche',
+      'tabs.shop': 'Gutscheine kaufen',
+      'tabs.balance': 'Guthaben prüfen',
+      'balance.intro': 'Gib den Code aus deiner Gutschein-E-Mail ein, um das Restguthaben zu sehen.',
+      'balance.code': 'Gutscheincode',
+      'balance.codeHint': 'Gib die 16 Buchstaben und Ziffern deines Codes ein.',
+      'balance.checking': 'Guthaben wird geprüft…',
+      'balance.remaining': 'Restguthaben',
+      'balance.value': 'Ursprünglicher Wert',
+      'balance.status': 'Status',
+      'balance.validUntil': 'Gültig bis',
+      'balance.expiredOn': 'Abgelaufen am',
+      'balance.status.active': 'Aktiv',
+      'balance.status.redeemed': 'Vollständig eingelöst',
+      'balance.status.expired': 'Abgelaufen',
+      'balance.retryIn': 'Du kannst es in {minutes} Min. erneut versuchen.',
+      'notice.title': 'Dein Warenkorb wurde aktualisiert:',
+      'notice.removed': '{name} ist nicht mehr verfügbar und wurde entfernt.',
+      'notice.priceChanged': '{name} kostet jetzt {price}.',
+      'notice.qtyReduced': '{name} ist auf {max} pro Bestellung begrenzt, die Anzahl wurde reduziert.',
+      'notice.dismiss': 'Ausblenden',
+      'a11y.qtyChanged': '{name}: Anzahl {qty}. Ausgewählt: {count}',
+      'a11y.amountChanged': '{name}: Betrag {amount}',
+      'a11y.increase': 'Anzahl für {name} erhöhen',
+      'a11y.decrease': 'Anzahl für {name} verringern',
+      'a11y.formErrors': 'Bitte korrigiere die markierten Felder.',
+      'a11y.copyCode': 'Code {code} kopieren',
+      'a11y.resendTo': 'E-Mail erneut an {email} senden',
+      'errors.NO_ITEMS': 'Dein Warenkorb ist leer. Füge mindestens eine Geschenkkarte hinzu.',
+      'errors.OFFER_NOT_FOUND': 'Eine Geschenkkarte in deinem Warenkorb ist nicht mehr verfügbar.',
+      'errors.QTY_LIMIT': 'Du hast mehr Geschenkkarten gewählt, als pro Bestellung erlaubt sind.',
+      'errors.INVALID_AMOUNT': 'Der gewählte Betrag ist für diese Geschenkkarte nicht verfügbar.',
+      'errors.CURRENCY_MISMATCH': 'Geschenkkarten in verschiedenen Währungen können nicht zusammen bestellt werden.',
+      'errors.INVALID_MERCHANT': 'Dieser Shop ist nicht für Geschenkkarten eingerichtet.',
+      'errors.UNAUTHORISED': 'Der Geschenkkarten-Dienst hat die Anfrage nicht akzeptiert.',
+      'errors.SESSION_REQUIRED': 'Deine Sitzung beim Geschenkkarten-Dienst konnte nicht bestätigt werden. Lade die Seite neu und versuche es erneut.',
+      'errors.SESSION_INVALID': 'Deine Sitzung beim Geschenkkarten-Dienst konnte nicht bestätigt werden. Lade die Seite neu und versuche es erneut.',
+      'errors.SESSION_EXPIRED': 'Deine Sitzung beim Geschenkkarten-Dienst konnte nicht bestätigt werden. Lade die Seite neu und versuche es erneut.',
+      'errors.ORIGIN_NOT_ALLOWED': 'Auf dieser Website können noch keine Geschenkkarten verkauft werden. Bitte wende dich an den Shop.',
+      'errors.CORS_BLOCKED': 'Auf dieser Website können noch keine Geschenkkarten verkauft werden. Bitte wende dich an den Shop.',
+      'errors.NETWORK': 'Der Geschenkkarten-Dienst ist nicht erreichbar. Prüfe deine Verbindung und versuche es erneut.',
+      'errors.REQUEST_FAILED': 'Die Anfrage ist fehlgeschlagen. Bitte versuche es erneut.',
+      'errors.PARSE': 'Unerwartete Antwort erhalten. Bitte versuche es erneut.',
+      'errors.BAD_RESPONSE': 'Unerwartete Antwort erhalten. Bitte versuche es erneut.',
+      'errors.INVALID_RECIPIENT': 'Ein Empfänger fehlt oder hat eine ungültige E-Mail-Adresse.',
+      'errors.INVALID_DELIVERY_DATE': 'Ein Zustelldatum liegt in der Vergangenheit oder zu weit in der Zukunft.',
+      'errors.MESSAGE_TOO_LONG': 'Eine persönliche Nachricht ist zu lang.',
+      'errors.TIMEOUT': 'Der Geschenkkarten-Dienst hat zu lange nicht geantwortet.',
+      'errors.ORDER_NOT_FOUND': 'Es wurde keine passende Bestellung gefunden.',
+      'errors.IDEMPOTENCY_KEY_REUSED': 'Deine Bestellung hat sich geändert, während ein früherer Versuch offen war. Bitte sende sie erneut.',
+      'errors.ORDER_IN_PROGRESS': 'Deine Bestellung wird noch bearbeitet. Prüfe den Status gleich noch einmal.',
+      'errors.CARD_DECLINED': 'Deine Karte wurde abgelehnt. Versuche es mit einer anderen Karte.',
+      'errors.INSUFFICIENT_FUNDS': 'Deine Karte ist nicht ausreichend gedeckt.',
+      'errors.EXPIRED_CARD': 'Deine Karte ist abgelaufen.',
+      'errors.INCORRECT_CVC': 'Die Prüfnummer der Karte ist falsch.',
+      'errors.PROCESSING_ERROR': 'Die Zahlung konnte nicht verarbeitet werden. Bitte versuche es erneut.',
+      'errors.INVALID_CARD_NUMBER': 'Gib eine gültige Kartennummer ein.',
+      'errors.INVALID_EXPIRY': 'Gib ein gültiges, künftiges Ablaufdatum (MM/JJ) ein.',
+      'errors.INVALID_CVC': 'Gib die 3- oder 4-stellige Prüfnummer ein.',
+      'errors.PAYMENT_REQUIRED': 'Es fehlen Zahlungsdaten.',
+      'errors.INVALID_PAYMENT_TOKEN': 'Die Zahlung konnte nicht überprüft werden. Bitte gib deine Karte erneut ein.',
+      'errors.PAYMENT_AMOUNT_MISMATCH': 'Der Zahlbetrag passt nicht mehr zu deiner Bestellung. Bitte bezahle erneut.',
+      'errors.PAYMENT_PROVIDER_UNAVAILABLE': 'Die Zahlung ist gerade nicht verfügbar.',
+      'errors.INVALID_PROMO_CODE': 'Dieser Gutscheincode ist ungültig.',
+      'errors.PROMO_CODE_EXPIRED': 'Dieser Gutscheincode ist abgelaufen.',
+      'errors.PROMO_MIN_SPEND': 'Deine Bestellung erreicht den Mindestbetrag für diesen Code nicht.',
+      'errors.RESEND_LIMIT': 'Diese E-Mail wurde bereits mehrmals erneut gesendet. Bitte wende dich an den Support.',
+      'errors.CODE_NOT_FOUND': 'Zu diesem Code wurde kein Gutschein gefunden. Prüfe ihn auf Tippfehler.',
+      'errors.INVALID_CODE_FORMAT': 'Das sieht nicht wie ein Gutscheincode aus.',
+      'errors.TOO_MANY_ATTEMPTS': 'Zu viele Versuche mit Codes, die nicht gefunden wurden.',
+      'errors.RATE_LIMITED': 'Gerade gehen zu viele Anfragen ein. Deine Bestellung wurde nicht aufgegeben.',
+      'errors.INVALID_REQUEST': 'Einige Bestelldaten sind ungültig. Geh zurück, prüfe das Formular und versuche es erneut.',
+      'errors.INVALID_EMAIL': 'Die E-Mail-Adresse des Käufers ist ungültig.',
+      'rateLimit.retryIn': 'Du kannst es in {time} erneut versuchen.',
+      'rateLimit.ready': 'Du kannst es jetzt erneut versuchen.',
+      'errors.UNKNOWN': 'Bitte versuche es gleich noch einmal.',
+    },
+    fr: {
+      'fab.label': 'Cadeaux',
+      'title': 'Cartes cadeaux',
+      'status.idle': 'Statut : inactif',
+      'status.checking': 'Vérification…',
+      'status.ok': 'Connecté',
+      'status.error': 'Erreur',
+      'status.recheck': 'Vérifier à nouveau',
+      'action.close': 'Fermer',
+      'action.back': 'Retour',
+      'action.checkout': 'Commander',
+      'action.submit': 'Valider l’achat',
+      'action.done': 'Terminé',
+      'action.checkStatus': 'Vérifier la commande',
+      'action.retry': 'Réessayer',
+      'action.retryIn': 'Réessayer dans {time}',
+      'action.toPayment': 'Passer au paiement',
+      'action.pay': 'Payer {total}',
+      'action.otherCard': 'Essayer une autre carte',
+      'action.apply': 'Appliquer',
+      'action.removeCode': 'Retirer le code',
+      'action.copy': 'Copier',
+      'action.copied': 'Copié',
+      'action.resend': 'Renvoyer l’e-mail',
+      'action.printReceipt': 'Imprimer le reçu',
+      'action.downloadReceipt': 'Télécharger le reçu',
+      'action.recentOrders': 'Mes commandes récentes ({count})',
+      'action.forgetOrders': 'Effacer ces commandes de cet appareil',
+      'action.checkBalance': 'Vérifier le solde',
+      'action.showCode': 'Afficher',
+      'action.hideCode': 'Masquer',
+      'loading': 'Chargement...',
+      'loading.offers': 'Chargement des offres...',
+      'loading.submitting': 'Envoi de la commande...',
+      'loading.checkingStatus': 'Vérification de la commande...',
+      'loading.payment': 'Chargement du paiement...',
+      'payment.title': 'Paiement',
+      'payment.total': 'Total à payer : {total}',
+      'payment.processing': 'Paiement en cours...',
+      'payment.cardNumber': 'Numéro de carte',
+      'payment.expiry': 'Expiration (MM/AA)',
+      'payment.cvc': 'Cryptogramme',
+      'payment.testMode': 'Mode test : aucune vraie carte n’est débitée. Utilisez 4242 4242 4242 4242 avec une date future et un cryptogramme quelconques.',
+      'purchase.unknownTitle': 'Nous n’avons pas pu confirmer votre commande',
+      'purchase.unknown': 'La connexion a été interrompue avant la confirmation : la commande a peut-être été passée. Vérifiez d’abord son statut. Réessayer ne la passera pas deux fois.',
+      'purchase.notPlaced': 'Aucune commande n’a été passée. Vous pouvez réessayer sans risque.',
+      'error.title': 'Une erreur est survenue',
+      'error.reference': 'Référence : {id}',
+      'catalog.unnamed': 'Sans nom',
+      'catalog.maxPerOrder': 'Max. par commande : {max}',
+      'catalog.qtyLabel': 'Quantité pour {name}',
+      'catalog.empty': 'Aucune offre active.',
+      'catalog.selected': 'Sélection :',
+      'catalog.subtotal': 'Sous-total :',
+      'catalog.amountRange': '{min} – {max}',
+      'catalog.amountLabel': 'Montant pour {name}',
+      'catalog.amountStep': 'Par paliers de {step}',
+      'catalog.search': 'Rechercher des cartes cadeaux',
+      'catalog.sortLabel': 'Trier par',
+      'catalog.sort.default': 'Recommandées',
+      'catalog.sort.priceAsc': 'Prix croissant',
+      'catalog.sort.priceDesc': 'Prix décroissant',
+      'catalog.sort.name': 'Nom : A–Z',
+      'catalog.tagsLabel': 'Filtrer par catégorie',
+      'catalog.allTags': 'Toutes',
+      'catalog.noMatches': 'Aucune carte cadeau ne correspond à votre recherche.',
+      'catalog.clearFilters': 'Effacer les filtres',
+      'catalog.results': '{count} cartes cadeaux affichées',
+      'checkout.summary': 'Récapitulatif',
+      'checkout.each': '({price} l’unité)',
+      'checkout.noItems': 'Aucun article sélectionné.',
+      'checkout.buyerName': 'Nom de l’acheteur',
+      'checkout.buyerNamePlaceholder': 'Marie Dupont',
+      'checkout.buyerNameHint': 'Veuillez saisir votre nom',
+      'checkout.buyerEmail': 'E-mail de l’acheteur',
+      'checkout.recipientEmail': 'E-mail du destinataire',
+      'checkout.emailHint': 'Veuillez saisir une adresse e-mail valide',
+      'checkout.recipient': 'Destinataire {n}',
+      'checkout.recipientName': 'Nom du destinataire',
+      'checkout.recipientNameHint': 'Veuillez saisir le nom du destinataire',
+      'checkout.message': 'Message personnel (facultatif)',
+      'checkout.messagePlaceholder': 'Joyeux anniversaire !',
+      'checkout.deliverAt': 'Date d’envoi (facultatif)',
+      'checkout.deliverAtHint': 'Choisissez une date entre aujourd’hui et dans un an',
+      'checkout.addRecipient': '+ Ajouter un destinataire',
+      'checkout.removeRecipient': 'Retirer',
+      'checkout.assign': 'Qui reçoit quelle carte ?',
+      'checkout.assignUnit': '{name} n° {n}',
+      'checkout.unassignedHint': 'Attribuez au moins une carte cadeau à ce destinataire',
+      'checkout.promo': 'Code promo',
+      'checkout.promoPlaceholder': 'Saisir le code',
+      'checkout.promoApplied': 'Code {code} appliqué',
+      'checkout.subtotal': 'Sous-total',
+      'checkout.discount': 'Remise',
+      'checkout.fees': 'Frais',
+      'checkout.total': 'Total',
+      'checkout.quoting': 'Calcul du total…',
+      'checkout.quoteFailed': 'Le total n’a pas pu être calculé pour le moment. Il sera confirmé avant le paiement.',
+      'confirm.title': 'Commande confirmée',
+      'confirm.orderId': 'N° de commande :',
+      'confirm.total': 'Total :',
+      'confirm.discount': 'Remise :',
+      'confirm.codes': 'Codes émis',
+      'confirm.noCodes': 'Aucun code émis.',
+      'confirm.missing': 'Commande introuvable',
+      'confirm.deliverOn': 'Envoi prévu le {date}',
+      'confirm.placedAt': 'Passée le :',
+      'confirm.copied': 'Code {code} copié',
+      'confirm.copyFailed': 'La copie n’est pas disponible ici. Sélectionnez le code pour le copier.',
+      'confirm.resent': 'E-mail renvoyé à {email}',
+      'receipt.title': 'Reçu',
+      'receipt.buyer': 'Acheteur :',
+      'receipt.note': 'Conservez ce reçu en lieu sûr : les codes valent de l’argent.',
+      'orders.title': 'Mes commandes récentes',
+      'orders.empty': 'Aucune commande récente sur cet appareil.',
+      'orders.summary': '{total} · {count} codes',
+      'orders.stored': 'Enregistré sur cet appareil uniquement.',
+      'tabs.label': 'Sections cartes cadeaux',
+      'tabs.shop': 'Acheter',
+      'tabs.balance': 'Vérifier le solde',
+      'balance.intro': 'Saisissez le code reçu par e-mail pour voir le solde restant.',
+      'balance.code': 'Code de la carte cadeau',
+      'balance.codeHint': 'Saisissez les 16 lettres et chiffres de votre code.',
+      'balance.checking': 'Vérification du solde…',
+      'balance.remaining': 'Solde restant',
+      'balance.value': 'Valeur initiale',
+      'balance.status': 'Statut',
+      'balance.validUntil': 'Valable jusqu’au',
+      'balance.expiredOn': 'Expirée le',
+      'balance.status.active': 'Active',
+      'balance.status.redeemed': 'Entièrement utilisée',
+      'balance.status.expired': 'Expirée',
+      'balance.retryIn': 'Vous pourrez réessayer dans {minutes} min.',
+      'notice.title': 'Votre panier a été mis à jour :',
+      'notice.removed': '{name} n’est plus disponible et a été retiré.',
+      'notice.priceChanged': '{name} coûte désormais {price}.',
+      'notice.qtyReduced': '{name} est limité à {max} par commande, la quantité a été réduite.',
+      'notice.dismiss': 'Masquer',
+      'a11y.qtyChanged': '{name} : quantité {qty}. Sélection : {count}',
+      'a11y.amountChanged': '{name} : montant {amount}',
+      'a11y.increase': 'Augmenter la quantité pour {name}',
+      'a11y.decrease': 'Diminuer la quantité pour {name}',
+      'a11y.formErrors': 'Veuillez corriger les champs signalés.',
+      'a11y.copyCode': 'Copier le code {code}',
+      'a11y.resendTo': 'Renvoyer l’e-mail à {email}',
+      'errors.NO_ITEMS': 'Votre panier est vide. Ajoutez au moins une carte cadeau.',
+      'errors.OFFER_NOT_FOUND': 'Une carte cadeau de votre panier n’est plus disponible.',
+      'errors.QTY_LIMIT': 'Vous avez dépassé la quantité autorisée par commande.',
+      'errors.INVALID_AMOUNT': 'Le montant choisi n’est pas disponible pour cette carte cadeau.',
+      'errors.CURRENCY_MISMATCH': 'Des cartes dans des devises différentes ne peuvent pas être achetées ensemble.',
+      'errors.INVALID_MERCHANT': 'Cette boutique n’est pas configurée pour les cartes cadeaux.',
+      'errors.UNAUTHORISED': 'Le service de cartes cadeaux a refusé la demande.',
+      'errors.SESSION_REQUIRED': 'Votre session avec le service de cartes cadeaux n’a pas pu être vérifiée. Rechargez la page et réessayez.',
+      'errors.SESSION_INVALID': 'Votre session avec le service de cartes cadeaux n’a pas pu être vérifiée. Rechargez la page et réessayez.',
+      'errors.SESSION_EXPIRED': 'Votre session avec le service de cartes cadeaux n’a pas pu être vérifiée. Rechargez la page et réessayez.',
+      'errors.ORIGIN_NOT_ALLOWED': 'Les cartes cadeaux ne peuvent pas encore être vendues sur ce site. Veuillez contacter la boutique.',
+      'errors.CORS_BLOCKED': 'Les cartes cadeaux ne peuvent pas encore être vendues sur ce site. Veuillez contacter la boutique.',
+      'errors.NETWORK': 'Impossible de joindre le service de cartes cadeaux. Vérifiez votre connexion et réessayez.',
+      'errors.REQUEST_FAILED': 'La demande a échoué. Veuillez réessayer.',
+      'errors.PARSE': 'Réponse inattendue. Veuillez réessayer.',
+      'errors.BAD_RESPONSE': 'Réponse inattendue. Veuillez réessayer.',
+      'errors.INVALID_RECIPIENT': 'Un destinataire manque ou son adresse e-mail est invalide.',
+      'errors.INVALID_DELIVERY_DATE': 'Une date d’envoi est passée ou trop lointaine.',
+      'errors.MESSAGE_TOO_LONG': 'Un message personnel est trop long.',
+      'errors.TIMEOUT': 'Le service de cartes cadeaux a mis trop de temps à répondre.',
+      'errors.ORDER_NOT_FOUND': 'Aucune commande correspondante n’a été trouvée.',
+      'errors.IDEMPOTENCY_KEY_REUSED': 'Votre commande a changé pendant qu’une tentative précédente était en cours. Veuillez la renvoyer.',
+      'errors.ORDER_IN_PROGRESS': 'Votre commande est encore en cours de traitement. Vérifiez son statut dans un instant.',
+      'errors.CARD_DECLINED': 'Votre carte a été refusée. Essayez une autre carte.',
+      'errors.INSUFFICIENT_FUNDS': 'Le solde de votre carte est insuffisant.',
+      'errors.EXPIRED_CARD': 'Votre carte a expiré.',
+      'errors.INCORRECT_CVC': 'Le cryptogramme de la carte est incorrect.',
+      'errors.PROCESSING_ERROR': 'Le paiement n’a pas pu être traité. Veuillez réessayer.',
+      'errors.INVALID_CARD_NUMBER': 'Saisissez un numéro de carte valide.',
+      'errors.INVALID_EXPIRY': 'Saisissez une date d’expiration future valide (MM/AA).',
+      'errors.INVALID_CVC': 'Saisissez le cryptogramme à 3 ou 4 chiffres.',
+      'errors.PAYMENT_REQUIRED': 'Les informations de paiement sont manquantes.',
+      'errors.INVALID_PAYMENT_TOKEN': 'Le paiement n’a pas pu être vérifié. Veuillez saisir à nouveau votre carte.',
+      'errors.PAYMENT_AMOUNT_MISMATCH': 'Le montant payé ne correspond plus à votre commande. Veuillez payer à nouveau.',
+      'errors.PAYMENT_PROVIDER_UNAVAILABLE': 'Le paiement n’est pas disponible pour le moment.',
+      'errors.INVALID_PROMO_CODE': 'Ce code promo n’est pas valide.',
+      'errors.PROMO_CODE_EXPIRED': 'Ce code promo a expiré.',
+      'errors.PROMO_MIN_SPEND': 'Votre commande n’atteint pas le montant minimum pour ce code promo.',
+      'errors.RESEND_LIMIT': 'Cet e-mail a déjà été renvoyé plusieurs fois. Veuillez contacter le support.',
+      'errors.CODE_NOT_FOUND': 'Aucune carte cadeau ne correspond à ce code. Vérifiez qu’il n’y a pas de faute de frappe.',
+      'errors.INVALID_CODE_FORMAT': 'Ceci ne ressemble pas à un code de carte cadeau.',
+      'errors.TOO_MANY_ATTEMPTS': 'Trop de tentatives avec des codes introuvables.',
+      'errors.RATE_LIMITED': 'Trop de demandes pour le moment. Votre commande n’a pas été passée.',
+      'errors.INVALID_REQUEST': 'Certaines informations de la commande ne sont pas valides. Revenez en arrière, vérifiez le formulaire et réessayez.',
+      'errors.INVALID_EMAIL': 'L’adresse e-mail de l’acheteur n’est pas valide.',
+      'rateLimit.retryIn': 'Vous pourrez réessayer dans {time}.',
+      'rateLimit.ready': 'Vous pouvez réessayer maintenant.',
+      'errors.UNKNOWN': 'Veuillez réessayer dans un instant.',
+    },
+    es: {
+      'fab.label': 'Regalos',
+      'title': 'Tarjetas regalo',
+      'status.idle': 'Estado: inactivo',
+      'status.checking': 'Comprobando…',
+      'status.ok': 'Conectado',
+      'status.error': 'Error',
+      'status.recheck': 'Comprobar de nuevo',
+      'action.close': 'Cerrar',
+      'action.back': 'Atrás',
+      'action.checkout': 'Pagar',
+      'action.submit': 'Confirmar compra',
+      'action.done': 'Listo',
+      'action.checkStatus': 'Comprobar el pedido',
+      'action.retry': 'Reintentar',
+      'action.retryIn': 'Reintentar en {time}',
+      'action.toPayment': 'Continuar al pago',
+      'action.pay': 'Pagar {total}',
+      'action.otherCard': 'Probar otra tarjeta',
+      'action.apply': 'Aplicar',
+      'action.removeCode': 'Quitar código',
+      'action.copy': 'Copiar',
+      'action.copied': 'Copiado',
+      'action.resend': 'Reenviar correo',
+      'action.printReceipt': 'Imprimir recibo',
+      'action.downloadReceipt': 'Descargar recibo',
+      'action.recentOrders': 'Mis pedidos recientes ({count})',
+      'action.forgetOrders': 'Borrar estos pedidos de este dispositivo',
+      'action.checkBalance': 'Consultar saldo',
+      'action.showCode': 'Mostrar',
+      'action.hideCode': 'Ocultar',
+      'loading': 'Cargando...',
+      'loading.offers': 'Cargando ofertas...',
+      'loading.submitting': 'Enviando pedido...',
+      'loading.checkingStatus': 'Comprobando el pedido...',
+      'loading.payment': 'Cargando el pago...',
+      'payment.title': 'Pago',
+      'payment.total': 'Total a pagar: {total}',
+      'payment.processing': 'Procesando el pago...',
+      'payment.cardNumber': 'Número de tarjeta',
+      'payment.expiry': 'Caducidad (MM/AA)',
+      'payment.cvc': 'CVC',
+      'payment.testMode': 'Modo de prueba: no se cobra ninguna tarjeta real. Usa 4242 4242 4242 4242 con cualquier fecha futura y CVC.',
+      'purchase.unknownTitle': 'No pudimos confirmar tu pedido',
+      'purchase.unknown': 'La conexión se cortó antes de confirmar el pedido, así que puede que se haya realizado. Comprueba primero su estado. Reintentar no lo duplicará.',
+      'purchase.notPlaced': 'No se realizó ningún pedido. Puedes volver a intentarlo sin riesgo.',
+      'error.title': 'Algo salió mal',
+      'error.reference': 'Referencia: {id}',
+      'catalog.unnamed': 'Sin nombre',
+      'catalog.maxPerOrder': 'Máx. por pedido: {max}',
+      'catalog.qtyLabel': 'Cantidad de {name}',
+      'catalog.empty': 'No hay ofertas activas.',
+      'catalog.selected': 'Seleccionadas:',
+      'catalog.subtotal': 'Subtotal:',
+      'catalog.amountRange': '{min} – {max}',
+      'catalog.amountLabel': 'Importe para {name}',
+      'catalog.amountStep': 'En pasos de {step}',
+      'catalog.search': 'Buscar tarjetas regalo',
+      'catalog.sortLabel': 'Ordenar por',
+      'catalog.sort.default': 'Destacadas',
+      'catalog.sort.priceAsc': 'Precio: de menor a mayor',
+      'catalog.sort.priceDesc': 'Precio: de mayor a menor',
+      'catalog.sort.name': 'Nombre: A–Z',
+      'catalog.tagsLabel': 'Filtrar por etiqueta',
+      'catalog.allTags': 'Todas',
+      'catalog.noMatches': 'Ninguna tarjeta regalo coincide con tu búsqueda.',
+      'catalog.clearFilters': 'Borrar filtros',
+      'catalog.results': '{count} tarjetas regalo mostradas',
+      'checkout.summary': 'Resumen del pedido',
+      'checkout.each': '({price} c/u)',
+      'checkout.noItems': 'No hay artículos seleccionados.',
+      'checkout.buyerName': 'Nombre del comprador',
+      'checkout.buyerNamePlaceholder': 'Ana García',
+      'checkout.buyerNameHint': 'Introduce tu nombre',
+      'checkout.buyerEmail': 'Correo del comprador',
+      'checkout.recipientEmail': 'Correo del destinatario',
+      'checkout.emailHint': 'Introduce un correo electrónico válido',
+      'checkout.recipient': 'Destinatario {n}',
+      'checkout.recipientName': 'Nombre del destinatario',
+      'checkout.recipientNameHint': 'Introduce el nombre del destinatario',
+      'checkout.message': 'Mensaje personal (opcional)',
+      'checkout.messagePlaceholder': '¡Feliz cumpleaños!',
+      'checkout.deliverAt': 'Fecha de envío (opcional)',
+      'checkout.deliverAtHint': 'Elige una fecha entre hoy y dentro de un año',
+      'checkout.addRecipient': '+ Añadir destinatario',
+      'checkout.removeRecipient': 'Quitar',
+      'checkout.assign': '¿Quién recibe cada tarjeta?',
+      'checkout.assignUnit': '{name} n.º {n}',
+      'checkout.unassignedHint': 'Asigna al menos una tarjeta regalo a este destinatario',
+      'checkout.promo': 'Código promocional',
+      'checkout.promoPlaceholder': 'Introduce el código',
+      'checkout.promoApplied': 'Código {code} aplicado',
+      'checkout.subtotal': 'Subtotal',
+      'checkout.discount': 'Descuento',
+      'checkout.fees': 'Comisiones',
+      'checkout.total': 'Total',
+      'checkout.quoting': 'Calculando el total…',
+      'checkout.quoteFailed': 'No pudimos calcular el total ahora. Se confirmará antes del pago.',
+      'confirm.title': 'Pedido confirmado',
+      'confirm.orderId': 'N.º de pedido:',
+      'confirm.total': 'Total:',
+      'confirm.discount': 'Descuento:',
+      'confirm.codes': 'Códigos emitidos',
+      'confirm.noCodes': 'No se emitieron códigos.',
+      'confirm.missing': 'Pedido no encontrado',
+      'confirm.deliverOn': 'Programado para el {date}',
+      'confirm.placedAt': 'Realizado:',
+      'confirm.copied': 'Código {code} copiado',
+      'confirm.copyFailed': 'No se puede copiar aquí. Selecciona el código para copiarlo.',
+      'confirm.resent': 'Correo reenviado a {email}',
+      'receipt.title': 'Recibo',
+      'receipt.buyer': 'Comprador:',
+      'receipt.note': 'Guarda este recibo en un lugar seguro: los códigos valen como dinero.',
+      'orders.title': 'Mis pedidos recientes',
+      'orders.empty': 'No hay pedidos recientes en este dispositivo.',
+      'orders.summary': '{total} · {count} códigos',
+      'orders.stored': 'Guardado solo en este dispositivo.',
+      'tabs.label': 'Secciones de tarjetas regalo',
+      'tabs.shop': 'Comprar',
+      'tabs.balance': 'Consultar saldo',
+      'balance.intro': 'Introduce el código de tu correo de la tarjeta regalo para ver el saldo disponible.',
+      'balance.code': 'Código de la tarjeta regalo',
+      'balance.codeHint': 'Introduce las 16 letras y cifras de tu código.',
+      'balance.checking': 'Consultando el saldo…',
+      'balance.remaining': 'Saldo disponible',
+      'balance.value': 'Valor original',
+      'balance.status': 'Estado',
+      'balance.validUntil': 'Válida hasta',
+      'balance.expiredOn': 'Caducó el',
+      'balance.status.active': 'Activa',
+      'balance.status.redeemed': 'Canjeada por completo',
+      'balance.status.expired': 'Caducada',
+      'balance.retryIn': 'Podrás intentarlo de nuevo en {minutes} min.',
+      'notice.title': 'Tu carrito se ha actualizado:',
+      'notice.removed': '{name} ya no está disponible y se ha eliminado.',
+      'notice.priceChanged': '{name} ahora cuesta {price}.',
+      'notice.qtyReduced': '{name} está limitado a {max} por pedido, así que se ha reducido la cantidad.',
+      'notice.dismiss': 'Ocultar',
+      'a11y.qtyChanged': '{name}: cantidad {qty}. Seleccionadas: {count}',
+      'a11y.amountChanged': '{name}: importe {amount}',
+      'a11y.increase': 'Aumentar la cantidad de {name}',
+      'a11y.decrease': 'Reducir la cantidad de {name}',
+      'a11y.formErrors': 'Corrige los campos marcados.',
+      'a11y.copyCode': 'Copiar el código {code}',
+      'a11y.resendTo': 'Reenviar el correo a {email}',
+      'errors.NO_ITEMS': 'Tu carrito está vacío. Añade al menos una tarjeta regalo.',
+      'errors.OFFER_NOT_FOUND': 'Una tarjeta regalo de tu carrito ya no está disponible.',
+      'errors.QTY_LIMIT': 'Has superado la cantidad permitida por pedido.',
+      'errors.INVALID_AMOUNT': 'El importe elegido no está disponible para esta tarjeta regalo.',
+      'errors.CURRENCY_MISMATCH': 'No se pueden comprar tarjetas en monedas distintas en un mismo pedido.',
+      'errors.INVALID_MERCHANT': 'Esta tienda no está configurada para tarjetas regalo.',
+      'errors.UNAUTHORISED': 'El servicio de tarjetas regalo no aceptó la solicitud.',
+      'errors.SESSION_REQUIRED': 'No se pudo verificar tu sesión con el servicio de tarjetas regalo. Recarga la página e inténtalo de nuevo.',
+      'errors.SESSION_INVALID': 'No se pudo verificar tu sesión con el servicio de tarjetas regalo. Recarga la página e inténtalo de nuevo.',
+      'errors.SESSION_EXPIRED': 'No se pudo verificar tu sesión con el servicio de tarjetas regalo. Recarga la página e inténtalo de nuevo.',
+      'errors.ORIGIN_NOT_ALLOWED': 'Todavía no se pueden vender tarjetas regalo en este sitio web. Ponte en contacto con la tienda.',
+      'errors.CORS_BLOCKED': 'Todavía no se pueden vender tarjetas regalo en este sitio web. Ponte en contacto con la tienda.',
+      'errors.NETWORK': 'No se pudo contactar con el servicio de tarjetas regalo. Revisa tu conexión e inténtalo de nuevo.',
+      'errors.REQUEST_FAILED': 'La solicitud falló. Inténtalo de nuevo.',
+      'errors.PARSE': 'Recibimos una respuesta inesperada. Inténtalo de nuevo.',
+      'errors.BAD_RESPONSE': 'Recibimos una respuesta inesperada. Inténtalo de nuevo.',
+      'errors.INVALID_RECIPIENT': 'Falta un destinatario o su correo electrónico no es válido.',
+      'errors.INVALID_DELIVERY_DATE': 'Una fecha de envío ya pasó o es demasiado lejana.',
+      'errors.MESSAGE_TOO_LONG': 'Un mensaje personal es demasiado largo.',
+      'errors.TIMEOUT': 'El servicio de tarjetas regalo tardó demasiado en responder.',
+      'errors.ORDER_NOT_FOUND': 'No se encontró ningún pedido coincidente.',
+      'errors.IDEMPOTENCY_KEY_REUSED': 'Tu pedido cambió mientras un intento anterior seguía abierto. Envíalo de nuevo.',
+      'errors.ORDER_IN_PROGRESS': 'Tu pedido aún se está procesando. Comprueba su estado en un momento.',
+      'errors.CARD_DECLINED': 'Tu tarjeta fue rechazada. Prueba con otra tarjeta.',
+      'errors.INSUFFICIENT_FUNDS': 'Tu tarjeta no tiene fondos suficientes.',
+      'errors.EXPIRED_CARD': 'Tu tarjeta ha caducado.',
+      'errors.INCORRECT_CVC': 'El código de seguridad de la tarjeta es incorrecto.',
+      'errors.PROCESSING_ERROR': 'No se pudo procesar el pago. Inténtalo de nuevo.',
+      'errors.INVALID_CARD_NUMBER': 'Introduce un número de tarjeta válido.',
+      'errors.INVALID_EXPIRY': 'Introduce una fecha de caducidad futura válida (MM/AA).',
+      'errors.INVALID_CVC': 'Introduce el código de seguridad de 3 o 4 dígitos.',
+      'errors.PAYMENT_REQUIRED': 'Faltan los datos de pago.',
+      'errors.INVALID_PAYMENT_TOKEN': 'No se pudo verificar el pago. Vuelve a introducir tu tarjeta.',
+      'errors.PAYMENT_AMOUNT_MISMATCH': 'El importe del pago ya no coincide con tu pedido. Vuelve a pagar.',
+      'errors.PAYMENT_PROVIDER_UNAVAILABLE': 'El pago no está disponible en este momento.',
+      'errors.INVALID_PROMO_CODE': 'Este código promocional no es válido.',
+      'errors.PROMO_CODE_EXPIRED': 'Este código promocional ha caducado.',
+      'errors.PROMO_MIN_SPEND': 'Tu pedido no alcanza el importe mínimo para este código.',
+      'errors.RESEND_LIMIT': 'Este correo ya se reenvió varias veces. Contacta con soporte.',
+      'errors.CODE_NOT_FOUND': 'No encontramos ninguna tarjeta regalo con este código. Revisa que esté bien escrito.',
+      'errors.INVALID_CODE_FORMAT': 'Esto no parece un código de tarjeta regalo.',
+      'errors.TOO_MANY_ATTEMPTS': 'Demasiados intentos con códigos no encontrados.',
+      'errors.RATE_LIMITED': 'Hay demasiadas solicitudes en este momento. Tu pedido no se ha realizado.',
+      'errors.INVALID_REQUEST': 'Algunos datos del pedido no son válidos. Vuelve atrás, revisa el formulario e inténtalo de nuevo.',
+      'errors.INVALID_EMAIL': 'La dirección de correo electrónico del comprador no es válida.',
+      'rateLimit.retryIn': 'Podrás intentarlo de nuevo en {time}.',
+      'rateLimit.ready': 'Ya puedes intentarlo de nuevo.',
+      'errors.UNKNOWN': 'Inténtalo de nuevo en un momento.',
+    },
+    nl: {
+      'fab.label': 'Cadeaus',
+      'title': 'Cadeaukaarten',
+      'status.idle': 'Status: inactief',
+      'status.checking': 'Controleren…',
+      'status.ok': 'Verbonden',
+      'status.error': 'Fout',
+      'status.recheck': 'Opnieuw controleren',
+      'action.close': 'Sluiten',
+      'action.back': 'Terug',
+      'action.checkout': 'Afrekenen',
+      'action.submit': 'Aankoop bevestigen',
+      'action.done': 'Klaar',
+      'action.checkStatus': 'Bestelstatus controleren',
+      'action.retry': 'Opnieuw proberen',
+      'action.retryIn': 'Opnieuw proberen over {time}',
+      'action.toPayment': 'Verder naar betalen',
+      'action.pay': '{total} betalen',
+      'action.otherCard': 'Andere kaart proberen',
+      'action.apply': 'Toepassen',
+      'action.removeCode': 'Code verwijderen',
+      'action.copy': 'Kopiëren',
+      'action.copied': 'Gekopieerd',
+      'action.resend': 'E-mail opnieuw sturen',
+      'action.printReceipt': 'Bon afdrukken',
+      'action.downloadReceipt': 'Bon downloaden',
+      'action.recentOrders': 'Mijn recente bestellingen ({count})',
+      'action.forgetOrders': 'Deze bestellingen van dit apparaat verwijderen',
+      'action.checkBalance': 'Saldo bekijken',
+      'action.showCode': 'Tonen',
+      'action.hideCode': 'Verbergen',
+      'loading': 'Laden...',
+      'loading.offers': 'Aanbiedingen laden...',
+      'loading.submitting': 'Bestelling verzenden...',
+      'loading.checkingStatus': 'Bestelstatus controleren...',
+      'loading.payment': 'Betaling laden...',
+      'payment.title': 'Betaling',
+      'payment.total': 'Te betalen: {total}',
+      'payment.processing': 'Betaling verwerken...',
+      'payment.cardNumber': 'Kaartnummer',
+      'payment.expiry': 'Vervaldatum (MM/JJ)',
+      'payment.cvc': 'CVC',
+      'payment.testMode': 'Testmodus: er wordt geen echte kaart belast. Gebruik 4242 4242 4242 4242 met een willekeurige toekomstige datum en CVC.',
+      'purchase.unknownTitle': 'We konden je bestelling niet bevestigen',
+      'purchase.unknown': 'De verbinding viel weg voordat de bestelling bevestigd was, dus misschien is ze geplaatst. Controleer eerst de status. Opnieuw proberen plaatst haar niet twee keer.',
+      'purchase.notPlaced': 'Er is geen bestelling geplaatst. Je kunt het veilig opnieuw proberen.',
+      'error.title': 'Er ging iets mis',
+      'error.reference': 'Referentie: {id}',
+      'catalog.unnamed': 'Naamloos',
+      'catalog.maxPerOrder': 'Max. per bestelling: {max}',
+      'catalog.qtyLabel': 'Aantal voor {name}',
+      'catalog.empty': 'Geen actieve aanbiedingen.',
+      'catalog.selected': 'Geselecteerd:',
+      'catalog.subtotal': 'Subtotaal:',
+      'catalog.amountRange': '{min} – {max}',
+      'catalog.amountLabel': 'Bedrag voor {name}',
+      'catalog.amountStep': 'In stappen van {step}',
+      'catalog.search': 'Cadeaukaarten zoeken',
+      'catalog.sortLabel': 'Sorteren op',
+      'catalog.sort.default': 'Aanbevolen',
+      'catalog.sort.priceAsc': 'Prijs: laag naar hoog',
+      'catalog.sort.priceDesc': 'Prijs: hoog naar laag',
+      'catalog.sort.name': 'Naam: A–Z',
+      'catalog.tagsLabel': 'Filteren op label',
+      'catalog.allTags': 'Alle',
+      'catalog.noMatches': 'Geen cadeaukaarten gevonden voor je zoekopdracht.',
+      'catalog.clearFilters': 'Filters wissen',
+      'catalog.results': '{count} cadeaukaarten getoond',
+      'checkout.summary': 'Besteloverzicht',
+      'checkout.each': '({price} per stuk)',
+      'checkout.noItems': 'Geen artikelen geselecteerd.',
+      'checkout.buyerName': 'Naam koper',
+      'checkout.buyerNamePlaceholder': 'Jan Jansen',
+      'checkout.buyerNameHint': 'Vul je naam in',
+      'checkout.buyerEmail': 'E-mail koper',
+      'checkout.recipientEmail': 'E-mail ontvanger',
+      'checkout.emailHint': 'Vul een geldig e-mailadres in',
+      'checkout.recipient': 'Ontvanger {n}',
+      'checkout.recipientName': 'Naam ontvanger',
+      'checkout.recipientNameHint': 'Vul de naam van de ontvanger in',
+      'checkout.message': 'Persoonlijk bericht (optioneel)',
+      'checkout.messagePlaceholder': 'Gefeliciteerd!',
+      'checkout.deliverAt': 'Bezorgdatum (optioneel)',
+      'checkout.deliverAtHint': 'Kies een datum van vandaag tot over een jaar',
+      'checkout.addRecipient': '+ Ontvanger toevoegen',
+      'checkout.removeRecipient': 'Verwijderen',
+      'checkout.assign': 'Wie krijgt welke kaart?',
+      'checkout.assignUnit': '{name} nr. {n}',
+      'checkout.unassignedHint': 'Wijs minstens één cadeaukaart toe aan deze ontvanger',
+      'checkout.promo': 'Kortingscode',
+      'checkout.promoPlaceholder': 'Code invoeren',
+      'checkout.promoApplied': 'Code {code} toegepast',
+      'checkout.subtotal': 'Subtotaal',
+      'checkout.discount': 'Korting',
+      'checkout.fees': 'Kosten',
+      'checkout.total': 'Totaal',
+      'checkout.quoting': 'Totaal berekenen…',
+      'checkout.quoteFailed': 'We konden het totaal nu niet berekenen. Het wordt bevestigd voordat je betaalt.',
+      'confirm.title': 'Bestelling bevestigd',
+      'confirm.orderId': 'Bestelnummer:',
+      'confirm.total': 'Totaal:',
+      'confirm.discount': 'Korting:',
+      'confirm.codes': 'Uitgegeven codes',
+      'confirm.noCodes': 'Geen codes uitgegeven.',
+      'confirm.missing': 'Bestelling ontbreekt',
+      'confirm.deliverOn': 'Gepland voor {date}',
+      'confirm.placedAt': 'Geplaatst:',
+      'confirm.copied': 'Code {code} gekopieerd',
+      'confirm.copyFailed': 'Kopiëren is hier niet beschikbaar. Selecteer de code om hem te kopiëren.',
+      'confirm.resent': 'E-mail opnieuw verstuurd naar {email}',
+      'receipt.title': 'Bon',
+      'receipt.buyer': 'Koper:',
+      'receipt.note': 'Bewaar deze bon goed: cadeaucodes zijn net zo waardevol als contant geld.',
+      'orders.title': 'Mijn recente bestellingen',
+      'orders.empty': 'Geen recente bestellingen op dit apparaat.',
+      'orders.summary': '{total} · {count} codes',
+      'orders.stored': 'Alleen op dit apparaat opgeslagen.',
+      'tabs.label': 'Onderdelen cadeaukaarten',
+      'tabs.shop': 'Kopen',
+      'tabs.balance': 'Saldo bekijken',
+      'balance.intro': 'Voer de code uit je cadeaukaart-e-mail in om het resterende saldo te zien.',
+      'balance.code': 'Cadeaukaartcode',
+      'balance.codeHint': 'Voer de 16 letters en cijfers van je code in.',
+      'balance.checking': 'Saldo controleren…',
+      'balance.remaining': 'Resterend saldo',
+      'balance.value': 'Oorspronkelijke waarde',
+      'balance.status': 'Status',
+      'balance.validUntil': 'Geldig tot',
+      'balance.expiredOn': 'Verlopen op',
+      'balance.status.active': 'Actief',
+      'balance.status.redeemed': 'Volledig gebruikt',
+      'balance.status.expired': 'Verlopen',
+      'balance.retryIn': 'Je kunt het over {minutes} min. opnieuw proberen.',
+      'notice.title': 'Je winkelwagen is bijgewerkt:',
+      'notice.removed': '{name} is niet meer beschikbaar en is verwijderd.',
+      'notice.priceChanged': '{name} kost nu {price}.',
+      'notice.qtyReduced': '{name} is beperkt tot {max} per bestelling, het aantal is verlaagd.',
+      'notice.dismiss': 'Verbergen',
+      'a11y.qtyChanged': '{name}: aantal {qty}. Geselecteerd: {count}',
+      'a11y.amountChanged': '{name}: bedrag {amount}',
+      'a11y.increase': 'Aantal voor {name} verhogen',
+      'a11y.decrease': 'Aantal voor {name} verlagen',
+      'a11y.formErrors': 'Corrigeer de gemarkeerde velden.',
+      'a11y.copyCode': 'Code {code} kopiëren',
+      'a11y.resendTo': 'E-mail opnieuw naar {email} sturen',
+      'errors.NO_ITEMS': 'Je winkelwagen is leeg. Voeg minstens één cadeaukaart toe.',
+      'errors.OFFER_NOT_FOUND': 'Een cadeaukaart in je winkelwagen is niet meer beschikbaar.',
+      'errors.QTY_LIMIT': 'Je hebt meer gekozen dan per bestelling is toegestaan.',
+      'errors.INVALID_AMOUNT': 'Het gekozen bedrag is niet beschikbaar voor deze cadeaukaart.',
+      'errors.CURRENCY_MISMATCH': 'Cadeaukaarten in verschillende valuta kunnen niet samen worden besteld.',
+      'errors.INVALID_MERCHANT': 'Deze winkel is niet ingericht voor cadeaukaarten.',
+      'errors.UNAUTHORISED': 'De cadeaukaartservice heeft het verzoek niet geaccepteerd.',
+      'errors.SESSION_REQUIRED': 'Je sessie bij de cadeaukaartservice kon niet worden gecontroleerd. Laad de pagina opnieuw en probeer het nog eens.',
+      'errors.SESSION_INVALID': 'Je sessie bij de cadeaukaartservice kon niet worden gecontroleerd. Laad de pagina opnieuw en probeer het nog eens.',
+      'errors.SESSION_EXPIRED': 'Je sessie bij de cadeaukaartservice kon niet worden gecontroleerd. Laad de pagina opnieuw en probeer het nog eens.',
+      'errors.ORIGIN_NOT_ALLOWED': 'Op deze website kunnen nog geen cadeaukaarten worden verkocht. Neem contact op met de winkel.',
+      'errors.CORS_BLOCKED': 'Op deze website kunnen nog geen cadeaukaarten worden verkocht. Neem contact op met de winkel.',
+      'errors.NETWORK': 'De cadeaukaartservice is niet bereikbaar. Controleer je verbinding en probeer het opnieuw.',
+      'errors.REQUEST_FAILED': 'Het verzoek is mislukt. Probeer het opnieuw.',
+      'errors.PARSE': 'Onverwacht antwoord ontvangen. Probeer het opnieuw.',
+      'errors.BAD_RESPONSE': 'Onverwacht antwoord ontvangen. Probeer het opnieuw.',
+      'errors.INVALID_RECIPIENT': 'Een ontvanger ontbreekt of heeft een ongeldig e-mailadres.',
+      'errors.INVALID_DELIVERY_DATE': 'Een bezorgdatum ligt in het verleden of te ver vooruit.',
+      'errors.MESSAGE_TOO_LONG': 'Een persoonlijk bericht is te lang.',
+      'errors.TIMEOUT': 'De cadeaukaartservice reageerde te traag.',
+      'errors.ORDER_NOT_FOUND': 'Er is geen bijbehorende bestelling gevonden.',
+      'errors.IDEMPOTENCY_KEY_REUSED': 'Je bestelling is gewijzigd terwijl een eerdere poging nog openstond. Verstuur haar opnieuw.',
+      'errors.ORDER_IN_PROGRESS': 'Je bestelling wordt nog verwerkt. Controleer de status zo meteen.',
+      'errors.CARD_DECLINED': 'Je kaart is geweigerd. Probeer een andere kaart.',
+      'errors.INSUFFICIENT_FUNDS': 'Er staat onvoldoende saldo op je kaart.',
+      'errors.EXPIRED_CARD': 'Je kaart is verlopen.',
+      'errors.INCORRECT_CVC': 'De beveiligingscode van de kaart klopt niet.',
+      'errors.PROCESSING_ERROR': 'De betaling kon niet worden verwerkt. Probeer het opnieuw.',
+      'errors.INVALID_CARD_NUMBER': 'Voer een geldig kaartnummer in.',
+      'errors.INVALID_EXPIRY': 'Voer een geldige toekomstige vervaldatum (MM/JJ) in.',
+      'errors.INVALID_CVC': 'Voer de beveiligingscode van 3 of 4 cijfers in.',
+      'errors.PAYMENT_REQUIRED': 'De betaalgegevens ontbreken.',
+      'errors.INVALID_PAYMENT_TOKEN': 'De betaling kon niet worden gecontroleerd. Voer je kaart opnieuw in.',
+      'errors.PAYMENT_AMOUNT_MISMATCH': 'Het betaalde bedrag past niet meer bij je bestelling. Betaal opnieuw.',
+      'errors.PAYMENT_PROVIDER_UNAVAILABLE': 'Betalen is op dit moment niet mogelijk.',
+      'errors.INVALID_PROMO_CODE': 'Deze kortingscode is niet geldig.',
+      'errors.PROMO_CODE_EXPIRED': 'Deze kortingscode is verlopen.',
+      'errors.PROMO_MIN_SPEND': 'Je bestelling haalt het minimumbedrag voor deze code niet.',
+      'errors.RESEND_LIMIT': 'Deze e-mail is al meerdere keren opnieuw verstuurd. Neem contact op met support.',
+      'errors.CODE_NOT_FOUND': 'We konden geen cadeaukaart met deze code vinden. Controleer hem op typefouten.',
+      'errors.INVALID_CODE_FORMAT': 'Dit lijkt geen cadeaukaartcode.',
+      'errors.TOO_MANY_ATTEMPTS': 'Te veel pogingen met codes die niet gevonden zijn.',
+      'errors.RATE_LIMITED': 'Er komen nu te veel verzoeken binnen. Je bestelling is niet geplaatst.',
+      'errors.INVALID_REQUEST': 'Sommige bestelgegevens zijn ongeldig. Ga terug, controleer het formulier en probeer het opnieuw.',
+      'errors.INVALID_EMAIL': 'Het e-mailadres van de koper is ongeldig.',
+      'rateLimit.retryIn': 'Je kunt het over {time} opnieuw proberen.',
+      'rateLimit.ready': 'Je kunt het nu opnieuw proberen.',
+      'errors.UNKNOWN': 'Probeer het zo meteen opnieuw.',
+    },
+  };
 
-  async function submitPurchase(body) {
-    const url = `${API_BASE}/api/bff/demo/purchase`;
-    const headers = { 'content-type': 'application/json' };
-    if (API_KEY) headers['x-overlay-key'] = API_KEY;
-    let resp;
-    try {
-      resp = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
-    } catch (e) {
-      throw new Error('NETWORK');
-    }
-    let data;
-    try {
-      data = await resp.json();
-    } catch (_) {
-      throw new Error('PARSE');
-    }
-    if (!resp.ok) {
-      if (data && data.error) throw new Error(data.error);
-      throw new Error('REQUEST_FAILED');
-    }
-    if (data && data.error) {
-      throw new Error(data.error);
-    }
-    return data;
-  }
+  // Theme tokens that merchants may override (data-theme-*, data-theme JSON or setTheme()); key -> --ow-<kebab-key>
+  const THEME_KEYS = [
+    'primary', 'primaryHover', 'primarySoft', 'onPrimary',
+    'text', 'textSecondary', 'textMuted', 'textSubtle',
+    'surface', 'surfaceAlt', 'surfaceSunken', 'border', 'borderStrong', 'neutral',
+    'danger', 'dangerSoft', 'dangerInk', 'backdrop', 'shadow',
+    'font', 'fontSize', 'radius', 'radiusMd', 'radiusSm', 'radiusXs', 'fabRadius',
+    'offsetX', 'offsetY', 'zIndex',
+  ];
+  const POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+  const COLOR_SCHEMES = ['light', 'dark', 'auto'];
+  const PERSIST_MODES = ['session', 'local', 'none'];
+  const RECENT_ORDERS_TTL_MS = 30 * 86400 * 1000;
+  const SORT_MODES = ['default', 'priceAsc', 'priceDesc', 'name']; // default keeps the BFF's order
+  const HEALTH_RETRY_MIN_MS = 5000;
+  const HEALTH_RETRY_MAX_MS = 5 * 60 * 1000;
+  const REQUEST_TIMEOUT_MS = 15000;
+  const AUTH_MODES = ['session', 'static-key'];
+  const SESSION_REFRESH_MARGIN_MS = 30 * 1000; // renew a session token this long before it expires
+  // 401s after which the session token is replaced and the request sent once more
+  const SESSION_RETRY_CODES = ['SESSION_REQUIRED', 'SESSION_INVALID', 'SESSION_EXPIRED'];
+  const RATE_LIMIT_FALLBACK_S = 10; // wait after a 429 without Retry-After
+  const PURCHASE_ATTEMPTS = 2; // the retry reuses the Idempotency-Key, so it can't place a second order
+  const PURCHASE_RETRY_DELAY_MS = 1000;
+  const PROMO_ERROR_CODES = ['INVALID_PROMO_CODE', 'PROMO_CODE_EXPIRED', 'PROMO_MIN_SPEND'];
+  // Declines after which the buyer can pick another card instead of starting over
+  const PAYMENT_RETRY_CODES = ['CARD_DECLINED', 'INSUFFICIENT_FUNDS', 'EXPIRED_CARD', 'INCORRECT_CVC', 'PROCESSING_ERROR', 'INVALID_PAYMENT_TOKEN', 'PAYMENT_AMOUNT_MISMATCH'];
+  const MAX_MESSAGE_LENGTH = 500;
+  const MAX_SCHEDULE_DAYS = 365; // the BFF refuses delivery dates further ahead
+
+  const darkTokens = `
+      --ow-primary-soft: #0c4a6e;
+      --ow-text: #e2e8f0; --ow-text-secondary: #cbd5e1; --ow-text-muted: #94a3b8; --ow-text-subtle: #94a3b8;
+      --ow-surface: #0f172a; --ow-surface-alt: #1e293b; --ow-surface-sunken: #1e293b;
+      --ow-border: #334155; --ow-border-strong: #475569; --ow-neutral: #334155;
+      --ow-danger: #f87171; --ow-danger-soft: rgba(239, 68, 68, 0.15); --ow-danger-ink: #fecaca;
+      --ow-backdrop: rgba(0, 0, 0, 0.6); --ow-shadow: 0 24px 48px rgba(0, 0, 0, 0.6);
+  `;
 
   // Styles (Shadow DOM scoped)
   const styles = `
     :host { all: initial; }
+    :host(.overlay-widget-inline) { display: block; }
+    :host {
+      --ow-primary: #0ea5e9; --ow-primary-hover: #0284c7; --ow-primary-soft: #bae6fd; --ow-on-primary: #fff;
+      --ow-text: #0f172a; --ow-text-secondary: #334155; --ow-text-muted: #475569; --ow-text-subtle: #64748b;
+      --ow-surface: #fff; --ow-surface-alt: #f8fafc; --ow-surface-sunken: #f1f5f9;
+      --ow-border: #e2e8f0; --ow-border-strong: #cbd5e1; --ow-neutral: #e2e8f0;
+      --ow-danger: #ef4444; --ow-danger-soft: #fef2f2; --ow-danger-ink: #991b1b;
+      --ow-backdrop: rgba(2, 6, 23, 0.5); --ow-shadow: 0 24px 48px rgba(2, 6, 23, 0.35);
+      --ow-font: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; --ow-font-size: 14px;
+      --ow-radius: 12px; --ow-radius-md: 10px; --ow-radius-sm: 8px; --ow-radius-xs: 6px; --ow-fab-radius: 9999px;
+      --ow-offset-x: 20px; --ow-offset-y: 20px; --ow-z-index: 2147483647;
+    }
+    :host([data-color-scheme="dark"]) { ${darkTokens} }
+    @media (prefers-color-scheme: dark) { :host([data-color-scheme="auto"]) { ${darkTokens} } }
+
     *, *::before, *::after { box-sizing: border-box; }
-    .ow-font { font: 14px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #0f172a; }
+    [hidden] { display: none !important; }
+    .ow-font :focus-visible { outline: 2px solid var(--ow-primary); outline-offset: 2px; }
+    .ow-dialog:focus, .ow-view-title:focus { outline: none; }
+    .ow-sr-only { position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0; }
+    .ow-font { font: var(--ow-font-size)/1.4 var(--ow-font); color: var(--ow-text); }
     .ow-fab {
-      position: fixed; right: 20px; bottom: 20px; z-index: 2147483647;
-      background: #0ea5e9; color: #fff; border: none; border-radius: 9999px;
+      position: fixed; right: var(--ow-offset-x); bottom: var(--ow-offset-y); z-index: var(--ow-z-index);
+      background: var(--ow-primary); color: var(--ow-on-primary); border: none; border-radius: var(--ow-fab-radius);
       padding: 14px 16px; cursor: pointer; box-shadow: 0 8px 24px rgba(2, 6, 23, 0.2);
-      display: flex; align-items: center; gap: 8px; font-weight: 600;
+      display: flex; align-items: center; gap: 8px; font: inherit; font-weight: 600;
     }
-    .ow-fab:hover { background: #0284c7; }
+    .ow-fab:hover { background: var(--ow-primary-hover); }
     .ow-fab:active { transform: translateY(1px); }
     .ow-fab .ow-dot { font-size: 18px; }
-    .ow-status-dot { width: 10px; height: 10px; border-radius: 9999px; display: inline-block; background: #cbd5e1; box-shadow: inset 0 0 0 1px rgba(0,0,0,0.08); }
+    .ow-pos-left .ow-fab { right: auto; left: var(--ow-offset-x); }
+    .ow-pos-top .ow-fab { bottom: auto; top: var(--ow-offset-y); }
+    .ow-status-dot { width: 10px; height: 10px; border-radius: 9999px; display: inline-block; background: var(--ow-border-strong); box-shadow: inset 0 0 0 1px rgba(0,0,0,0.08); }
     .ow-status-dot.ok { background: #16a34a; }
     .ow-status-dot.err { background: #dc2626; }
     .ow-status-dot.checking { background: #f59e0b; animation: ow-pulse 1s ease-in-out infinite; }
     @keyframes ow-pulse { 0%,100%{ opacity:.6 } 50%{ opacity:1 } }
 
-    .ow-modal { position: fixed; inset: 0; display: none; z-index: 2147483646; }
+    .ow-modal { position: fixed; inset: 0; display: none; z-index: calc(var(--ow-z-index) - 1); }
     .ow-modal.open { display: block; }
-    .ow-backdrop { position: absolute; inset: 0; background: rgba(2, 6, 23, 0.5); }
+    .ow-backdrop { position: absolute; inset: 0; background: var(--ow-backdrop); }
     .ow-dialog {
-      position: absolute; right: 20px; bottom: 84px; width: min(680px, calc(100vw - 40px)); max-height: min(80vh, 720px);
-      background: #fff; border-radius: 12px; overflow: hidden; box-shadow: 0 24px 48px rgba(2, 6, 23, 0.35);
+      position: absolute; right: var(--ow-offset-x); bottom: calc(var(--ow-offset-y) + 64px);
+      width: min(680px, calc(100vw - 2 * var(--ow-offset-x))); max-height: min(80vh, 720px);
+      background: var(--ow-surface); border-radius: var(--ow-radius); overflow: hidden; box-shadow: var(--ow-shadow);
       display: flex; flex-direction: column;
     }
-    .ow-header { display: flex; align-items: center; justify-content: space-between; padding: 12px 16px; border-bottom: 1px solid #e2e8f0; background: #f8fafc; }
-    .ow-title { margin: 0; font-size: 16px; font-weight: 700; color: #0f172a; }
-    .ow-close { border: none; background: transparent; font-size: 18px; cursor: pointer; color: #334155; padding: 6px; }
-    .ow-close:hover { color: #0f172a; }
+    .ow-pos-left .ow-dialog { right: auto; left: var(--ow-offset-x); }
+    .ow-pos-top .ow-dialog { bottom: auto; top: calc(var(--ow-offset-y) + 64px); }
+    .ow-launcher-inline .ow-fab { position: static; display: inline-flex; box-shadow: none; z-index: auto; }
+    .ow-launcher-inline .ow-dialog { left: 50%; top: 50%; right: auto; bottom: auto; transform: translate(-50%, -50%); }
+    .ow-header { display: flex; align-items: center; justify-content: space-between; padding: 12px 16px; border-bottom: 1px solid var(--ow-border); background: var(--ow-surface-alt); }
+    .ow-title { margin: 0; font-size: 16px; font-weight: 700; color: var(--ow-text); }
+    .ow-close { border: none; background: transparent; font-size: 18px; cursor: pointer; color: var(--ow-text-secondary); padding: 6px; }
+    .ow-close:hover { color: var(--ow-text); }
     .ow-head-right { display:flex; align-items:center; gap:8px; }
-    .ow-status-pill { font-size: 12px; color: #0f172a; background:#e2e8f0; border-radius:9999px; padding:2px 8px; }
+    .ow-status-pill { font-size: 12px; color: var(--ow-text); background: var(--ow-neutral); border-radius:9999px; padding:2px 8px; }
     .ow-status-pill.ok { background:#dcfce7; color:#166534; }
     .ow-status-pill.err { background:#fee2e2; color:#991b1b; }
     .ow-status-pill.checking { background:#fef3c7; color:#92400e; }
-    .ow-status-retry { border:none; background:#e2e8f0; color:#0f172a; border-radius:6px; padding:4px 8px; cursor:pointer; }
-    .ow-status-retry:hover { background:#cbd5e1; }
+    .ow-status-retry { border:none; background: var(--ow-neutral); color: var(--ow-text); border-radius: var(--ow-radius-xs); padding:4px 8px; cursor:pointer; }
+    .ow-status-retry:hover { background: var(--ow-border-strong); }
     .ow-body { overflow: auto; padding: 12px; }
-    .ow-footer { padding: 12px; border-top: 1px solid #e2e8f0; display: flex; gap: 8px; justify-content: flex-end; background: #fff; }
+    .ow-notice { margin: 12px 12px 0; padding: 8px 10px; border-radius: var(--ow-radius-sm); background: var(--ow-primary-soft); color: var(--ow-text); display: flex; gap: 10px; align-items: flex-start; }
+    .ow-notice ul { margin: 4px 0 0; padding-left: 18px; flex: 1; }
+    .ow-notice .ow-link-btn { padding: 0; }
+    .ow-footer { padding: 12px; border-top: 1px solid var(--ow-border); display: flex; gap: 8px; justify-content: flex-end; background: var(--ow-surface); }
+    .ow-footer-info { margin-right: auto; display: flex; align-items: center; gap: 10px; color: var(--ow-text-secondary); }
 
+    .ow-toolbar { display: flex; gap: 8px; margin-bottom: 8px; }
+    .ow-toolbar .ow-search { flex: 1; min-width: 0; }
+    .ow-tags { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 12px; }
     .ow-grid { display: grid; grid-template-columns: 1fr; gap: 12px; }
     @media (min-width: 560px) { .ow-grid { grid-template-columns: 1fr 1fr; } }
 
-    .ow-card { border: 1px solid #e2e8f0; border-radius: 10px; overflow: hidden; display: flex; background: #fff; }
-    .ow-media { width: 120px; height: 100%; background: #f1f5f9; display: flex; align-items: center; justify-content: center; }
+    .ow-modal.ow-inline { position: static; display: block; z-index: auto; }
+    .ow-inline .ow-dialog {
+      position: static; width: 100%; max-height: none; border: 1px solid var(--ow-border);
+      box-shadow: none; container-type: inline-size;
+    }
+    .ow-inline .ow-body { overflow: visible; }
+    .ow-inline .ow-grid { grid-template-columns: 1fr; }
+    @container (min-width: 560px) { .ow-inline .ow-grid { grid-template-columns: 1fr 1fr; } }
+    @container (min-width: 900px) { .ow-inline .ow-grid { grid-template-columns: 1fr 1fr 1fr; } }
+
+    .ow-card { border: 1px solid var(--ow-border); border-radius: var(--ow-radius-md); overflow: hidden; display: flex; background: var(--ow-surface); }
+    .ow-media { width: 120px; height: 100%; background: var(--ow-surface-sunken); display: flex; align-items: center; justify-content: center; }
     .ow-media img { width: 100%; height: 100%; object-fit: cover; display: block; }
+    .ow-media-placeholder { font-size: 28px; }
     .ow-content { padding: 10px; display: flex; flex-direction: column; gap: 6px; flex: 1; }
-    .ow-name { font-weight: 700; color: #0f172a; }
-    .ow-desc { color: #475569; font-size: 13px; }
-    .ow-price { color: #0f172a; font-weight: 600; }
+    .ow-name { font-weight: 700; color: var(--ow-text); }
+    .ow-desc { color: var(--ow-text-muted); font-size: 13px; }
+    .ow-price { color: var(--ow-text); font-weight: 600; }
     .ow-qty { margin-top: auto; display: flex; align-items: center; gap: 8px; }
-    .ow-qty button { width: 28px; height: 28px; border-radius: 6px; border: 1px solid #cbd5e1; background: #fff; cursor: pointer; }
+    .ow-qty button { width: 28px; height: 28px; border-radius: var(--ow-radius-xs); border: 1px solid var(--ow-border-strong); background: var(--ow-surface); color: var(--ow-text); cursor: pointer; }
     .ow-qty button:disabled { opacity: 0.5; cursor: not-allowed; }
-    .ow-qty input { width: 48px; text-align: center; border: 1px solid #cbd5e1; border-radius: 6px; padding: 4px; }
+    .ow-qty input { width: 48px; text-align: center; border: 1px solid var(--ow-border-strong); border-radius: var(--ow-radius-xs); padding: 4px; background: var(--ow-surface); color: var(--ow-text); }
+
+    .ow-amount { display: flex; flex-wrap: wrap; align-items: center; gap: 6px; }
+    .ow-preset, .ow-tag { border: 1px solid var(--ow-border-strong); border-radius: 9999px; background: var(--ow-surface); color: var(--ow-text); padding: 3px 10px; font: inherit; font-size: 12px; cursor: pointer; }
+    .ow-preset.active, .ow-tag.active { background: var(--ow-primary); border-color: var(--ow-primary); color: var(--ow-on-primary); }
+    .ow-amount-input { width: 96px; border: 1px solid var(--ow-border-strong); border-radius: var(--ow-radius-xs); padding: 4px 6px; font: inherit; background: var(--ow-surface); color: var(--ow-text); }
+    .ow-amount-note { color: var(--ow-text-subtle); font-size: 12px; }
 
     .ow-actions { display: flex; justify-content: space-between; align-items: center; padding-top: 6px; }
-    .ow-actions .ow-note { color: #64748b; font-size: 12px; }
+    .ow-actions .ow-note { color: var(--ow-text-subtle); font-size: 12px; }
 
-    .ow-btn { border: none; border-radius: 8px; padding: 10px 14px; font-weight: 700; cursor: pointer; }
-    .ow-btn.primary { background: #0ea5e9; color: #fff; }
+    .ow-btn { border: none; border-radius: var(--ow-radius-sm); padding: 10px 14px; font: inherit; font-weight: 700; cursor: pointer; }
+    .ow-btn.primary { background: var(--ow-primary); color: var(--ow-on-primary); }
+    .ow-btn.primary:hover:not(:disabled) { background: var(--ow-primary-hover); }
     .ow-btn.primary:disabled { opacity: 0.5; cursor: not-allowed; }
-    .ow-btn.secondary { background: #e2e8f0; color: #0f172a; }
+    .ow-btn.secondary { background: var(--ow-neutral); color: var(--ow-text); }
 
-    .ow-empty, .ow-error { text-align: center; color: #334155; padding: 24px; }
-    .ow-error code { background: #fee2e2; color: #991b1b; padding: 2px 6px; border-radius: 4px; }
+    .ow-empty, .ow-error { text-align: center; color: var(--ow-text-secondary); padding: 24px; }
+    .ow-error code { background: var(--ow-danger-soft); color: var(--ow-danger-ink); padding: 2px 6px; border-radius: 4px; }
+    .ow-error-detail { margin-top: 6px; color: var(--ow-text-subtle); }
+    .ow-muted { color: var(--ow-text-subtle); }
 
-    .ow-spinner { width: 24px; height: 24px; border-radius: 50%; border: 3px solid #bae6fd; border-top-color: #0ea5e9; animation: ow-spin 1s linear infinite; margin: 12px auto; }
+    .ow-spinner { width: 24px; height: 24px; border-radius: 50%; border: 3px solid var(--ow-primary-soft); border-top-color: var(--ow-primary); animation: ow-spin 1s linear infinite; margin: 12px auto; }
     @keyframes ow-spin { to { transform: rotate(360deg); } }
 
     .ow-form { display: grid; grid-template-columns: 1fr; gap: 10px; }
     .ow-field { display: flex; flex-direction: column; gap: 4px; }
-    .ow-label { font-size: 13px; color: #334155; }
-    .ow-input { border: 1px solid #cbd5e1; border-radius: 6px; padding: 8px; font-size: 14px; }
-    .ow-input.invalid { border-color: #ef4444; background: #fef2f2; }
-    .ow-hint { color: #ef4444; font-size: 12px; }
+    .ow-label { font-size: 13px; color: var(--ow-text-secondary); }
+    .ow-input { border: 1px solid var(--ow-border-strong); border-radius: var(--ow-radius-xs); padding: 8px; font: inherit; background: var(--ow-surface); color: var(--ow-text); }
+    .ow-input.invalid { border-color: var(--ow-danger); background: var(--ow-danger-soft); }
+    .ow-hint { color: var(--ow-danger); font-size: 12px; }
 
-    .ow-summary { background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 8px; padding: 10px; }
+    .ow-summary { background: var(--ow-surface-alt); border: 1px solid var(--ow-border); border-radius: var(--ow-radius-sm); padding: 10px; }
     .ow-summary ul { margin: 0; padding-left: 18px; }
     .ow-summary li { margin: 3px 0; }
+    .ow-section-title { font-weight: 700; margin-bottom: 6px; }
+
+    .ow-recipient { display: grid; gap: 10px; border: 1px solid var(--ow-border); border-radius: var(--ow-radius-sm); padding: 10px; }
+    .ow-recipient-head { display: flex; align-items: center; justify-content: space-between; }
+    .ow-recipient-head .ow-section-title { margin: 0; }
+    .ow-link-btn { border: none; background: transparent; color: var(--ow-primary); font: inherit; font-weight: 600; cursor: pointer; padding: 4px 0; }
+    .ow-link-btn:hover { text-decoration: underline; }
+    textarea.ow-input { resize: vertical; }
+    .ow-totals { margin: 8px 0 0; padding-top: 8px; border-top: 1px solid var(--ow-border); }
+    .ow-totals > div { display: flex; justify-content: space-between; gap: 12px; margin: 2px 0; }
+    .ow-totals dt, .ow-totals dd { margin: 0; }
+    .ow-totals .ow-total { font-weight: 700; }
+    .ow-input-row { display: flex; gap: 8px; }
+    .ow-input-row .ow-input { flex: 1; min-width: 0; }
+    .ow-tabs { display: flex; gap: 4px; padding: 0 12px; border-bottom: 1px solid var(--ow-border); }
+    .ow-tabs[hidden] { display: none; }
+    .ow-tab { border: none; border-bottom: 2px solid transparent; background: transparent; color: var(--ow-text-secondary); font: inherit; font-weight: 600; padding: 8px 10px; cursor: pointer; }
+    .ow-tab[aria-selected="true"] { color: var(--ow-primary); border-bottom-color: var(--ow-primary); }
+    .ow-balance { padding: 10px; max-width: 420px; }
+    .ow-badge { display: inline-block; padding: 1px 8px; border-radius: 999px; font-size: 12px; font-weight: 600; background: var(--ow-primary-soft); color: var(--ow-primary); }
+    .ow-badge.redeemed, .ow-badge.expired { background: var(--ow-danger-soft); color: var(--ow-danger-ink); }
+    .ow-line-total { float: right; }
+    .ow-field-row { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; }
+    .ow-payment-error { margin: 0; }
+    .ow-assign-list { display: grid; gap: 6px; }
+    .ow-assign { display: flex; align-items: center; justify-content: space-between; gap: 10px; }
+    .ow-assign select { max-width: 60%; }
+    .ow-recipient-group { margin-top: 10px; }
+    .ow-recipient-group ul { margin: 6px 0 0; padding-left: 18px; }
+    .ow-recipient-group li { display: flex; flex-wrap: wrap; align-items: center; gap: 0 8px; }
+    .ow-receipt-actions { display: flex; flex-wrap: wrap; gap: 0 16px; margin-top: 12px; }
+    .ow-recent-link { margin-top: 12px; text-align: center; }
+    .ow-orders { list-style: none; margin: 0; padding: 0; }
+    .ow-orders li + li { margin-top: 8px; }
+    .ow-order-btn { display: block; width: 100%; text-align: left; padding: 10px 12px; border: 1px solid var(--ow-border); border-radius: var(--ow-radius-sm); background: var(--ow-surface); color: var(--ow-text); font: inherit; cursor: pointer; }
+    .ow-order-btn:hover { border-color: var(--ow-border-strong); }
 
     .ow-confirm { padding: 10px; }
+    .ow-view-title { font-size: 16px; font-weight: 700; margin: 0 0 6px; }
     .ow-mono { font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace; }
   `;
 
-  // Root HTML skeleton
-  const container = document.createElement('div');
-  container.className = 'ow-font';
-  container.innerHTML = `
-    <style>${styles}</style>
-    <button class="ow-fab" type="button" aria-haspopup="dialog" aria-controls="ow-modal">
-      <span class="ow-dot">🎁</span>
-      <span>Gifts</span>
-      <span class="ow-status-dot" id="ow-status-dot" aria-hidden="true"></span>
-    </button>
-    <div id="ow-modal" class="ow-modal" role="dialog" aria-modal="true" aria-label="Gift Cards Modal">
-      <div class="ow-backdrop"></div>
-      <div class="ow-dialog">
-        <div class="ow-header">
-          <h2 class="ow-title">Gift Cards</h2>
-          <div class="ow-head-right">
-            <span class="ow-status-pill" id="ow-status-label">Status: Idle</span>
-            <button class="ow-status-retry" type="button" id="ow-status-retry" title="Recheck" aria-label="Recheck">↻</button>
-            <button class="ow-close" type="button" aria-label="Close">✕</button>
-          </div>
-        </div>
-        <div class="ow-body" id="ow-body"></div>
-        <div class="ow-footer" id="ow-footer"></div>
-      </div>
-    </div>
-  `;
-  root.appendChild(container);
-
-  const fabBtn = container.querySelector('.ow-fab');
-  const modal = container.querySelector('#ow-modal');
-  const bodyEl = container.querySelector('#ow-body');
-  const footerEl = container.querySelector('#ow-footer');
-  const closeBtn = container.querySelector('.ow-close');
-  const statusDot = container.querySelector('#ow-status-dot');
-  const statusLabel = container.querySelector('#ow-status-label');
-  const statusRetry = container.querySelector('#ow-status-retry');
-
-  // Event wiring
-  fabBtn.addEventListener('click', async () => {
-    openModal();
-  });
-  closeBtn.addEventListener('click', () => { closeModal(); });
-  modal.querySelector('.ow-backdrop').addEventListener('click', (e) => {
-    if (e.target === e.currentTarget) closeModal();
-  });
-  // ESC handling (global)
-  const escHandler = (e) => {
-    if (e.key === 'Escape') closeModal();
-  };
-  window.addEventListener('keydown', escHandler);
-  if (statusRetry) statusRetry.addEventListener('click', () => runHealthCheck());
-
-  // Render functions
-  function renderLoading(message) {
-    bodyEl.innerHTML = `
-      <div class="ow-empty">
-        <div class="ow-spinner"></div>
-        <div>${message || 'Loading...'}</div>
-      </div>
-    `;
-    footerEl.innerHTML = '';
-  }
+  function createInstance(scriptEl, merchantId, mountEl) {
+    // Read config from script tag
+    const MERCHANT_ID = merchantId;
+    const API_KEY = scriptEl.getAttribute('data-api-key') || '';
+    // session: short-lived token from the BFF, bound to this merchant and page origin. static-key: the legacy
+    // mode that sends data-api-key as x-overlay-key from every page.
+    const AUTH_MODE = readChoice(scriptEl, 'data-auth', AUTH_MODES);
+    if (AUTH_MODE === 'session' && API_KEY) console.warn('[overlay-widget] data-api-key is only sent with data-auth="static-key"');
+    const API_BASE = (scriptEl.getAttribute('data-api-base') || window.location.origin).replace(/\/$/, '');
+    const API_CROSS_ORIGIN = (() => {
+      try { return new URL(API_BASE, window.location.href).origin !== window.location.origin; } catch (_) { return false; }
+    })();
+    const INLINE = scriptEl.getAttribute('data-mode') === 'inline' && !!mountEl;
+    if (scriptEl.getAttribute('data-mode') === 'inline' && !mountEl) {
+      console.warn('[overlay-widget] data-mode="inline" needs data-mount; falling back to the floating button');
+    }
+    const LOCALE = resolveLocale(scriptEl.getAttribute('data-locale') || document.documentElement.lang || 'en');
+    const t = createTranslator(LOCALE);
+    const POSITION = readChoice(scriptEl, 'data-position', POSITIONS);
+    const COLOR_SCHEME = readChoice(scriptEl, 'data-color-scheme', COLOR_SCHEMES);
+    const BUTTON_LABEL = scriptEl.hasAttribute('data-button-label') ? scriptEl.getAttribute('data-button-label') : t('fab.label');
+    const BUTTON_ICON = scriptEl.hasAttribute('data-button-icon') ? scriptEl.getAttribute('data-button-icon') : '🎁';
+    const PERSIST = readChoice(scriptEl, 'data-persist', PERSIST_MODES);
+    const PERSIST_TTL_MS = (Number(scriptEl.getAttribute('data-persist-ttl')) || 86400) * 1000;
+    const CATALOG_TTL_MS = readSeconds(scriptEl, 'data-catalog-ttl', 60) * 1000;
+    // Confirmed orders kept for "My recent orders" (0 keeps none)
+    const RECENT_ORDER_LIMIT = scriptEl.hasAttribute('data-recent-orders')
+      ? Math.max(0, Math.floor(Number(scriptEl.getAttribute('data-recent-orders')) || 0))
+      : 5;
+    // "none" skips the payment step for BFFs that take payment elsewhere; the test provider is opt-in
+    const PAYMENT_PROVIDER = (scriptEl.getAttribute('data-payment-provider') || 'none').trim();
 
-  function renderError(message, code) {
-    bodyEl.innerHTML = `
-      <div class="ow-error">
-        <div>Something went wrong${code ? ':' : ''} ${code ? `<code>${code}</code>` : ''}</div>
-        ${message ? `<div style=\"margin-top:6px;color:#64748b\">${message}</div>` : ''}
-      </div>
-    `;
-    footerEl.innerHTML = `
-      <button class="ow-btn secondary" type="button" id="ow-back">Back</button>
-    `;
-    footerEl.querySelector('#ow-back').addEventListener('click', () => {
-      setView('catalog');
-    });
-  }
+    // Host container + Shadow DOM (one per instance)
+    const host = document.createElement('div');
+    host.className = cls(['overlay-widget-host', INLINE && 'overlay-widget-inline']);
+    host.setAttribute('data-overlay-merchant', MERCHANT_ID);
+    host.setAttribute('data-color-scheme', COLOR_SCHEME);
+    applyTheme(host, readThemeConfig(scriptEl));
+    (mountEl || document.body).appendChild(host);
+    const root = host.attachShadow({ mode: 'open' });
 
-  function updateStatusUI() {
-    if (!statusDot || !statusLabel) return;
-    statusDot.classList.remove('ok','err','checking');
-    statusLabel.classList.remove('ok','err','checking');
-    let text = 'Status: Idle';
-    if (health.status === 'checking') { statusDot.classList.add('checking'); statusLabel.classList.add('checking'); text = 'Checking…'; }
-    else if (health.status === 'ok') { statusDot.classList.add('ok'); statusLabel.classList.add('ok'); text = 'Connected'; }
-    else if (health.status === 'error') { statusDot.classList.add('err'); statusLabel.classList.add('err'); text = 'Error' + (health.code ? `: ${health.code}` : ''); }
-    statusLabel.textContent = text;
-    statusLabel.title = health.last ? `${text} • ${new Date(health.last).toLocaleTimeString()}` : text;
-  }
-
-  async function runHealthCheck() {
-    health.status = 'checking'; health.code = ''; health.last = Date.now(); updateStatusUI();
-    const url = `${API_BASE}/api/bff/demo/catalog?merchantId=${encodeURIComponent(MERCHANT_ID)}`;
-    const headers = {}; if (API_KEY) headers['x-overlay-key'] = API_KEY;
-    const ctrl = typeof AbortController !== 'undefined' ? new AbortController() : null;
-    const timeout = setTimeout(() => { try { ctrl && ctrl.abort(); } catch(_){} }, 8000);
-    let resp;
-    try {
-      resp = await fetch(url, { method: 'GET', headers, cache: 'no-store', signal: ctrl ? ctrl.signal : undefined });
-    } catch (e) {
-      clearTimeout(timeout);
-      health.status = 'error'; health.code = 'NETWORK'; health.last = Date.now(); updateStatusUI();
-      return;
+    // State
+    let isOpen = false;
+    let offersCache = null; // { merchantId, offers, etag, fetchedAt, maxAgeMs }; see loadOffers
+    let catalogRequest = null; // in-flight catalog fetch, shared by concurrent callers
+    const selected = new Map(); // offerId -> qty
+    const amounts = new Map(); // offerId -> chosen amountMinor (open-value offers)
+    let view = 'catalog'; // 'catalog' | 'checkout' | 'payment' | 'confirm' | 'orders' | 'balance' | 'error' | 'loading'
+    let lastErrorMessage = '';
+    let lastErrorRequestId = ''; // X-Request-Id of the BFF response behind lastErrorMessage, for support
+    let lastOrder = null; // store confirmation
+    let lastOrderFromHistory = false; // confirmation opened from the recent orders list
+    // Balance tab; the typed code is never persisted, and is cleared once its balance is shown
+    const balanceCheck = { code: '', reveal: false, result: null, error: '', retryAfterSeconds: 0, busy: false };
+    let payment = null; // { adapter, ready } once the payment step was first shown
+    let quote = null; // { key, data }: last BFF quote and the cart + promo code it priced (see quoteKey)
+    let quoteRequest = null; // { key, promise } in flight
+    // { key, order, body } of a submitted order whose outcome is unknown; retries reuse the key. order is the body
+    // without the payment, and the only part that is saved
+    let pendingPurchase = null;
+    let rateLimitedUntil = 0; // after a 429 on the purchase: when pendingPurchase may be sent again
+    let session = null; // { token, expiresAt } in session auth mode; memory only
+    let sessionRequest = null; // in-flight POST /session, shared by concurrent requests
+    // Catalog toolbar; lives outside renderCatalog so quantity clicks (which re-render the catalog) keep it
+    const catalogFilter = { query: '', tag: '', sort: 'default' };
+    let catalogOffers = null; // offers behind the rendered catalog; null while another view is shown
+    const health = { status: 'idle', code: '', last: 0, latencyMs: null, failures: 0 }; // idle | checking | ok | error
+    let healthTimer = null;
+    let healthDue = false; // a retry came due while hidden/offline
+    let destroyed = false;
+    // Checkout form values; kept here so re-renders and reloads don't wipe them
+    const draft = {
+      buyerName: '',
+      buyerEmail: '',
+      recipients: [{ id: 'r1', name: '', email: '', message: '', deliverAt: '' }],
+      assignments: {}, // offerId -> recipient id per unit
+      promoCode: '', // applied code (accepted by the last quote)
+    };
+    const store = createStateStore(PERSIST, `overlay-widget:${MERCHANT_ID}`, PERSIST_TTL_MS);
+    let cartNeedsCheck = restoreState(); // restored lines are validated once the catalog arrives
+    // Same storage as the cart, under its own key and a longer TTL; newest first
+    const orderStore = createStateStore(PERSIST, `overlay-widget:${MERCHANT_ID}:orders`, RECENT_ORDERS_TTL_MS);
+    let recentOrders = loadRecentOrders(); // [{ placedAt, order }]
+
+    // Utilities
+    function cls(parts) { return parts.filter(Boolean).join(' '); }
+
+    function formatDateTime(ms) {
+      try {
+        return new Intl.DateTimeFormat(LOCALE, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(ms));
+      } catch (_) {
+        return new Date(ms).toISOString();
+      }
     }
-    clearTimeout(timeout);
-    if (resp && resp.ok) {
-      health.status = 'ok'; health.code = ''; health.last = Date.now(); updateStatusUI();
-      return;
+
+    function formatDate(isoDate) {
+      const [y, m, d] = String(isoDate).split('-').map(Number);
+      if (!y || !m || !d) return String(isoDate);
+      try {
+        return new Intl.DateTimeFormat(LOCALE, { dateStyle: 'medium' }).format(new Date(y, m - 1, d));
+      } catch (_) {
+        return String(isoDate);
+      }
     }
-    try {
-      const data = await resp.json();
-      if (data && data.error) health.code = data.error;
-    } catch (_) {}
-    health.status = 'error'; if (!health.code) health.code = 'REQUEST_FAILED'; health.last = Date.now(); updateStatusUI();
-  }
-
-  function renderCatalog(offers, currency) {
-    const cards = offers.map((o) => {
-      const qty = selected.get(o.id) || 0;
-      const reachMax = typeof o.maxPerOrder === 'number' && qty >= o.maxPerOrder;
-      const price = formatMoney(o.currency || currency || 'EUR', o.amountMinor);
-      const maxNote = o.maxPerOrder ? `Max per order: ${o.maxPerOrder}` : '';
-      const srcRaw = o.imageUrl || o.image || o.imageURL;
-      const src = typeof srcRaw === 'string' && srcRaw ? resolveAssetUrl(srcRaw) : '';
-      const img = src ? `<img alt="${escapeHtml(o.name)}" src="${escapeAttr(src)}">` : `<div style="font-size:28px;">🛍️</div>`;
-      return `
-        <div class="ow-card">
-          <div class="ow-media">${img}</div>
-          <div class="ow-content">
-            <div class="ow-name">${escapeHtml(o.name || 'Unnamed')}</div>
-            <div class="ow-desc">${escapeHtml(o.description || '')}</div>
-            <div class="ow-actions">
-              <div class="ow-price">${price}</div>
-              <div class="ow-note">${maxNote}</div>
-            </div>
-            <div class="ow-qty">
-              <button type="button" class="ow-dec" data-id="${escapeAttr(o.id)}">−</button>
-              <input type="text" class="ow-qty-input" data-id="${escapeAttr(o.id)}" value="${qty}" aria-label="Quantity for ${escapeAttr(o.name)}">
-              <button type="button" class="ow-inc" data-id="${escapeAttr(o.id)}" ${reachMax ? 'disabled' : ''}>＋</button>
-            </div>
-          </div>
-        </div>
-      `;
-    }).join('');
-    bodyEl.innerHTML = `<div class="ow-grid">${cards || '<div class="ow-empty">No active offers.</div>'}</div>`;
-
-    const itemCount = countSelectedItems();
-    const subtotal = sumSelectedSubtotalMinor(offers);
-    const subtotalFmt = offers.length ? formatMoney(offers[0].currency || 'EUR', subtotal) : '';
-    footerEl.innerHTML = `
-      <div style="margin-right:auto;display:flex;align-items:center;gap:10px;color:#334155;">
-        <div>Selected: <strong>${itemCount}</strong></div>
-        ${itemCount > 0 ? `<div>Subtotal: <strong>${subtotalFmt}</strong></div>` : ''}
-      </div>
-      <button class="ow-btn secondary" type="button" id="ow-cancel">Close</button>
-      <button class="ow-btn primary" type="button" id="ow-checkout" ${itemCount === 0 ? 'disabled' : ''}>Checkout</button>
-    `;
-    footerEl.querySelector('#ow-cancel').addEventListener('click', closeModal);
-    footerEl.querySelector('#ow-checkout').addEventListener('click', () => setView('checkout'));
-
-    // Bind qty controls
-    bodyEl.querySelectorAll('.ow-inc').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const id = btn.getAttribute('data-id');
-        const offer = offers.find(o => o.id === id);
-        const qty = selected.get(id) || 0;
-        const next = Math.min(qty + 1, Number.isFinite(offer.maxPerOrder) ? offer.maxPerOrder : qty + 1);
-        selected.set(id, next);
-        setView('catalog');
-      });
-    });
-    bodyEl.querySelectorAll('.ow-dec').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const id = btn.getAttribute('data-id');
-        const qty = selected.get(id) || 0;
-        const next = Math.max(0, qty - 1);
-        if (next === 0) selected.delete(id); else selected.set(id, next);
-        setView('catalog');
-      });
-    });
-    bodyEl.querySelectorAll('.ow-qty-input').forEach(inp => {
-      inp.addEventListener('change', () => {
-        const id = inp.getAttribute('data-id');
-        const offer = offers.find(o => o.id === id);
-        const v = Number(String(inp.value).trim());
-        const safe = Number.isFinite(v) && v >= 0 ? v : 0;
-        const max = Number.isFinite(offer.maxPerOrder) ? offer.maxPerOrder : safe;
-        const bounded = Math.min(safe, max);
-        if (bounded === 0) selected.delete(id); else selected.set(id, bounded);
-        setView('catalog');
+
+    // Retry-After countdown: "0:42", "12:05"
+    function formatCountdown(seconds) {
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    function formatMoney(currency, minor) {
+      const digits = currencyDigits(currency);
+      try {
+        return new Intl.NumberFormat(LOCALE, { style: 'currency', currency }).format(minor / 10 ** digits);
+      } catch (_) {
+        const value = (minor / 10 ** digits).toFixed(digits);
+        return `${currency} ${value}`;
+      }
+    }
+
+    // Value of one card: the chosen amount for open-value offers, otherwise the fixed amountMinor
+    function unitAmount(offer) {
+      if (!isOpenValue(offer)) return offer.amountMinor;
+      return amounts.has(offer.id) ? snapAmount(offer, amounts.get(offer.id)) : defaultAmount(offer);
+    }
+
+    function sumSelectedSubtotalMinor(offers) {
+      let sum = 0;
+      for (const [offerId, qty] of selected.entries()) {
+        const offer = offers.find(o => o.id === offerId);
+        if (offer) sum += unitAmount(offer) * qty;
+      }
+      return sum;
+    }
+
+    function countSelectedItems() {
+      let count = 0;
+      for (const [, qty] of selected.entries()) count += qty;
+      return count;
+    }
+
+    function setSelectedQty(offerId, qty) {
+      const previousQty = selected.get(offerId) || 0;
+      if (qty === 0) selected.delete(offerId); else selected.set(offerId, qty);
+      if (qty !== previousQty) {
+        saveState();
+        emit('cart-change', Object.assign({ offerId, qty, previousQty }, cartTotals()));
+      }
+    }
+
+    function setSelectedAmount(offerId, amountMinor) {
+      const previousAmountMinor = amounts.get(offerId);
+      if (amountMinor === previousAmountMinor) return;
+      amounts.set(offerId, amountMinor);
+      saveState();
+      const qty = selected.get(offerId) || 0;
+      if (qty > 0) emit('cart-change', Object.assign({ offerId, qty, previousQty: qty, amountMinor, previousAmountMinor }, cartTotals()));
+    }
+
+    // Persistence (sessionStorage/localStorage per data-persist)
+    function restoreState() {
+      const saved = store.load();
+      if (!saved) return false;
+      if (Array.isArray(saved.cart)) {
+        for (const entry of saved.cart) {
+          const [offerId, qty] = Array.isArray(entry) ? entry : [];
+          if (typeof offerId === 'string' && Number.isInteger(qty) && qty > 0) selected.set(offerId, qty);
+        }
+      }
+      if (Array.isArray(saved.amounts)) {
+        for (const entry of saved.amounts) {
+          const [offerId, amountMinor] = Array.isArray(entry) ? entry : [];
+          if (typeof offerId === 'string' && Number.isInteger(amountMinor) && amountMinor > 0) amounts.set(offerId, amountMinor);
+        }
+      }
+      const d = saved.draft;
+      if (d && typeof d === 'object') {
+        if (typeof d.buyerName === 'string') draft.buyerName = d.buyerName;
+        if (typeof d.buyerEmail === 'string') draft.buyerEmail = d.buyerEmail;
+        const recipients = Array.isArray(d.recipients) ? d.recipients.filter(r => r && typeof r.id === 'string') : [];
+        if (recipients.length) {
+          draft.recipients = recipients.map(r => ({
+            id: r.id,
+            name: String(r.name || ''),
+            email: String(r.email || ''),
+            message: String(r.message || ''),
+            deliverAt: String(r.deliverAt || ''),
+          }));
+        }
+        if (d.assignments && typeof d.assignments === 'object') draft.assignments = d.assignments;
+        if (typeof d.promoCode === 'string') draft.promoCode = d.promoCode;
+      }
+      const pending = saved.pending;
+      // Without its payment token: an order that needs one is paid again, and keeps its key if it hasn't changed
+      if (pending && typeof pending.key === 'string' && typeof pending.order === 'string') pendingPurchase = { key: pending.key, order: pending.order, body: pending.order };
+      return selected.size > 0;
+    }
+
+    function loadRecentOrders() {
+      const saved = orderStore.load();
+      if (!Array.isArray(saved)) return [];
+      return saved
+        .filter(entry => entry && Number.isFinite(entry.placedAt) && entry.order && typeof entry.order.orderId === 'string')
+        .slice(0, RECENT_ORDER_LIMIT);
+    }
+
+    function rememberOrder(order) {
+      if (RECENT_ORDER_LIMIT === 0 || !order || typeof order.orderId !== 'string') return;
+      recentOrders = [{ placedAt: Date.now(), order }]
+        .concat(recentOrders.filter(entry => entry.order.orderId !== order.orderId))
+        .slice(0, RECENT_ORDER_LIMIT);
+      orderStore.save(recentOrders);
+    }
+
+    function saveState() {
+      const pending = pendingPurchase && { key: pendingPurchase.key, order: pendingPurchase.order };
+      store.save({ cart: Array.from(selected.entries()), amounts: Array.from(amounts.entries()), draft, pending });
+    }
+
+    // Drop lines whose offer is gone or inactive, clamp the rest to maxPerOrder and snap chosen amounts to the offer's range
+    function reconcileCart(offers) {
+      for (const [offerId, qty] of Array.from(selected.entries())) {
+        const offer = offers.find(o => o.id === offerId);
+        if (!offer) { setSelectedQty(offerId, 0); continue; }
+        if (Number.isFinite(offer.maxPerOrder) && qty > offer.maxPerOrder) setSelectedQty(offerId, offer.maxPerOrder);
+        if (isOpenValue(offer) && amounts.has(offerId)) setSelectedAmount(offerId, snapAmount(offer, amounts.get(offerId)));
+      }
+    }
+
+    function cartTotals() {
+      const offers = offersCache ? offersCache.offers : null;
+      return {
+        count: countSelectedItems(),
+        currency: offers && offers.length ? (offers[0].currency || 'EUR') : null,
+        subtotalMinor: offers ? sumSelectedSubtotalMinor(offers) : null,
+      };
+    }
+
+    // Analytics events: keep payloads free of codes and personal data
+    function emit(name, detail) {
+      const evt = new CustomEvent(`overlay:${name}`, {
+        bubbles: true,
+        detail: Object.assign({ merchantId: MERCHANT_ID }, detail),
       });
-    });
-  }
+      // The host page may have removed the script tag; fall back to window so listeners still fire
+      if (scriptEl.isConnected) scriptEl.dispatchEvent(evt); else window.dispatchEvent(evt);
+    }
 
-  function renderCheckout(offers) {
-    const items = getSelectedItems();
-    const haveItems = items.length > 0;
-    const summary = items.map(it => {
-      const offer = offers.find(o => o.id === it.offerId);
-      const name = offer ? offer.name : it.offerId;
-      const price = offer ? formatMoney(offer.currency || 'EUR', offer.amountMinor) : '';
-      return `<li><strong>${escapeHtml(name)}</strong> × ${it.qty} <span style=\"color:#64748b\">(${price} each)</span></li>`;
-    }).join('');
-    bodyEl.innerHTML = `
-      <div class="ow-form">
-        <div class="ow-summary">
-          <div style="font-weight:700;margin-bottom:6px;">Order Summary</div>
-          <ul>${summary || '<li>No items selected.</li>'}</ul>
-        </div>
-        <div class="ow-field">
-          <label class="ow-label" for="ow-buyer-name">Buyer Name</label>
-          <input class="ow-input" id="ow-buyer-name" type="text" placeholder="Jane Doe">
-          <div class="ow-hint" id="ow-buyer-name-hint" style="display:none;">Please enter your name</div>
-        </div>
-        <div class="ow-field">
-          <label class="ow-label" for="ow-buyer-email">Buyer Email</label>
-          <input class="ow-input" id="ow-buyer-email" type="email" placeholder="jane@acme.com">
-          <div class="ow-hint" id="ow-buyer-email-hint" style="display:none;">Please enter a valid email</div>
-        </div>
-        <div class="ow-field">
-          <label class="ow-label" for="ow-recipient-email">Recipient Email</label>
-          <input class="ow-input" id="ow-recipient-email" type="email" placeholder="recipient@domain.com">
-          <div class="ow-hint" id="ow-recipient-email-hint" style="display:none;">Please enter a valid email</div>
-        </div>
-      </div>
-    `;
-    footerEl.innerHTML = `
-      <button class="ow-btn secondary" type="button" id="ow-back">Back</button>
-      <button class="ow-btn primary" type="button" id="ow-submit" ${haveItems ? '' : 'disabled'}>Submit Purchase</button>
-    `;
-    footerEl.querySelector('#ow-back').addEventListener('click', () => setView('catalog'));
-    const submitBtn = footerEl.querySelector('#ow-submit');
-    submitBtn.addEventListener('click', async () => {
-      // Validate
-      const nameEl = bodyEl.querySelector('#ow-buyer-name');
-      const buyerEmailEl = bodyEl.querySelector('#ow-buyer-email');
-      const recipEmailEl = bodyEl.querySelector('#ow-recipient-email');
-      const v = {
-        name: (nameEl.value || '').trim(),
-        buyerEmail: (buyerEmailEl.value || '').trim(),
-        recipientEmail: (recipEmailEl.value || '').trim(),
+    // amountMinor is filled in once offers are loaded (or earlier, when an amount was chosen via the API)
+    function getSelectedItems() {
+      const offers = offersCache ? offersCache.offers : [];
+      const items = [];
+      for (const [offerId, qty] of selected.entries()) {
+        if (qty <= 0) continue;
+        const offer = offers.find(o => o.id === offerId);
+        const item = { offerId, qty };
+        if (offer) item.amountMinor = unitAmount(offer);
+        else if (amounts.has(offerId)) item.amountMinor = amounts.get(offerId);
+        items.push(item);
+      }
+      return items;
+    }
+
+    // API
+    // Stale-while-revalidate: cached offers are served right away, and once older than their max-age
+    // (BFF Cache-Control, else data-catalog-ttl) a conditional refetch runs in the background.
+    async function loadOffers() {
+      if (!offersCache) await fetchCatalog();
+      else if (Date.now() - offersCache.fetchedAt >= offersCache.maxAgeMs) revalidateOffers();
+      return offersCache;
+    }
+
+    // Background refresh; failures keep the stale catalog and the next access tries again
+    function revalidateOffers() {
+      return fetchCatalog().then(() => true, () => false);
+    }
+
+    function fetchCatalog() {
+      if (!catalogRequest) {
+        catalogRequest = requestCatalog().then(applyCatalog).finally(() => { catalogRequest = null; });
+      }
+      return catalogRequest;
+    }
+
+    async function requestCatalog() {
+      const url = `${API_BASE}/api/bff/demo/catalog?merchantId=${encodeURIComponent(MERCHANT_ID)}`;
+      const headers = {};
+      if (offersCache && offersCache.etag) headers['if-none-match'] = offersCache.etag;
+      let resp;
+      try {
+        resp = await authorizedFetch(url, { headers });
+      } catch (e) {
+        if (e && e.session) throw e;
+        throw new Error(await networkErrorCode());
+      }
+      const maxAgeMs = parseMaxAge(resp.headers.get('cache-control'));
+      if (resp.status === 304 && offersCache) return { notModified: true, maxAgeMs };
+      if (!resp.ok) {
+        // Prefer the BFF's error code
+        let code = 'REQUEST_FAILED';
+        try {
+          const data = await resp.json();
+          if (data && data.error) code = String(data.error);
+        } catch (_) {}
+        throw requestError(code, resp.status, resp.headers.get('x-request-id'));
+      }
+      try {
+        const data = await resp.json();
+        if (!data || !Array.isArray(data.offers)) throw new Error('BAD_RESPONSE');
+        const active = data.offers.filter(o => o && o.active);
+        return { merchantId: data.merchantId, offers: active, etag: resp.headers.get('etag') || '', maxAgeMs };
+      } catch (e) {
+        throw requestError('PARSE', resp.status, resp.headers.get('x-request-id'));
+      }
+    }
+
+    function applyCatalog(res) {
+      const previous = offersCache;
+      offersCache = {
+        merchantId: res.notModified ? previous.merchantId : res.merchantId,
+        offers: res.notModified ? previous.offers : res.offers,
+        etag: res.notModified ? previous.etag : res.etag,
+        fetchedAt: Date.now(),
+        maxAgeMs: res.maxAgeMs === null ? CATALOG_TTL_MS : res.maxAgeMs,
       };
-      let valid = true;
-      function setInvalid(el, hintId, bad) {
-        if (bad) { el.classList.add('invalid'); bodyEl.querySelector('#'+hintId).style.display = 'block'; }
-        else { el.classList.remove('invalid'); bodyEl.querySelector('#'+hintId).style.display = 'none'; }
-      }
-      setInvalid(nameEl, 'ow-buyer-name-hint', v.name.length === 0);
-      setInvalid(buyerEmailEl, 'ow-buyer-email-hint', !isValidEmail(v.buyerEmail));
-      setInvalid(recipEmailEl, 'ow-recipient-email-hint', !isValidEmail(v.recipientEmail));
-      valid = v.name && isValidEmail(v.buyerEmail) && isValidEmail(v.recipientEmail) && haveItems;
-      if (!valid) return;
-
-      // Submit
-      setView('loading', 'Submitting order...');
+      if (!previous) {
+        if (cartNeedsCheck) {
+          cartNeedsCheck = false;
+          reconcileCart(offersCache.offers);
+        }
+        return;
+      }
+      if (res.notModified || JSON.stringify(previous.offers) === JSON.stringify(offersCache.offers)) return;
+      // Describe cart changes before reconcileCart applies them
+      const notices = describeCartChanges(previous.offers, offersCache.offers);
+      reconcileCart(offersCache.offers);
+      if (notices.length) showNotices(notices);
+      if (view === 'catalog' && catalogOffers) {
+        rememberFocus(true);
+        renderCatalog(offersCache.offers, offersCache.offers[0]?.currency || 'EUR');
+        afterRender();
+      } else if (view === 'checkout' && notices.length) {
+        rememberFocus(true);
+        renderCheckout(offersCache.offers);
+        afterRender();
+      }
+    }
+
+    function describeCartChanges(before, after) {
+      const notices = [];
+      for (const [offerId, qty] of selected.entries()) {
+        const old = before.find(o => o.id === offerId);
+        const next = after.find(o => o.id === offerId);
+        const name = (next || old || {}).name || offerId;
+        if (!next) {
+          notices.push(t('notice.removed', { name }));
+          continue;
+        }
+        if (old && unitAmount(old) !== unitAmount(next)) {
+          notices.push(t('notice.priceChanged', { name, price: formatMoney(next.currency || 'EUR', unitAmount(next)) }));
+        }
+        if (Number.isFinite(next.maxPerOrder) && qty > next.maxPerOrder) {
+          notices.push(t('notice.qtyReduced', { name, max: next.maxPerOrder }));
+        }
+      }
+      return notices;
+    }
+
+    function showNotices(notices) {
+      noticeEl.querySelector('#ow-notice-list').innerHTML = notices.map(n => `<li>${escapeHtml(n)}</li>`).join('');
+      noticeEl.hidden = false;
+    }
+
+    function hideNotices() {
+      noticeEl.hidden = true;
+      noticeEl.querySelector('#ow-notice-list').innerHTML = '';
+    }
+
+    // Session token for the Authorization header, from cache while it has SESSION_REFRESH_MARGIN_MS left.
+    // Failures reject with the session request's error, marked .session so callers don't report NETWORK instead.
+    function getSessionToken() {
+      if (session && session.expiresAt - SESSION_REFRESH_MARGIN_MS > Date.now()) return Promise.resolve(session.token);
+      if (!sessionRequest) {
+        const body = JSON.stringify({ merchantId: MERCHANT_ID });
+        sessionRequest = bffRequest('/api/bff/demo/session', { method: 'POST', body, auth: false })
+          .then((data) => {
+            if (!data || typeof data.token !== 'string') throw requestError('BAD_RESPONSE');
+            // expiresIn rather than expiresAt, so a wrong client clock doesn't matter
+            session = { token: data.token, expiresAt: Date.now() + (Number(data.expiresIn) || 0) * 1000 };
+            return session.token;
+          })
+          .catch((e) => {
+            if (e.message === 'SESSIONS_DISABLED') console.warn('[overlay-widget] the BFF does not issue session tokens; embed with data-auth="static-key"');
+            e.session = true;
+            throw e;
+          })
+          .finally(() => { sessionRequest = null; });
+      }
+      return sessionRequest;
+    }
+
+    async function authHeaders() {
+      if (AUTH_MODE === 'static-key') return API_KEY ? { 'x-overlay-key': API_KEY } : {};
+      return { authorization: `Bearer ${await getSessionToken()}` };
+    }
+
+    // fetch() with the widget's credentials. A rejected session token (expired, or signed before a BFF restart)
+    // is replaced and the request sent once more; the 401 means the BFF did nothing with it.
+    async function authorizedFetch(url, init) {
+      const send = async () => fetch(url, Object.assign({}, init, { headers: Object.assign({}, init.headers, await authHeaders()) }));
+      const resp = await send();
+      if (AUTH_MODE !== 'session' || resp.status !== 401) return resp;
+      const code = await resp.clone().json().then(data => data && data.error, () => '');
+      if (!SESSION_RETRY_CODES.includes(code)) return resp;
+      session = null;
+      return send();
+    }
+
+    // fetch() rejects the same way when offline, when the BFF is down and when CORS blocks this page's origin.
+    // A no-cors request (which CORS never blocks) only gets through in the last case: CORS_BLOCKED, else NETWORK.
+    async function networkErrorCode() {
+      if (!API_CROSS_ORIGIN || navigator.onLine === false) return 'NETWORK';
       try {
-        const payload = {
-          merchantId: MERCHANT_ID,
-          buyer: { name: v.name, email: v.buyerEmail },
-          recipient: { email: v.recipientEmail },
-          items: getSelectedItems(),
-        };
-        const res = await submitPurchase(payload);
-        lastOrder = res;
-        setView('confirm');
+        await fetch(`${API_BASE}/api/bff/demo/health`, { mode: 'no-cors', cache: 'no-store' });
+        return 'CORS_BLOCKED';
+      } catch (_) {
+        return 'NETWORK';
+      }
+    }
+
+    // JSON request to the BFF: sends the credentials (unless auth is false), aborts after timeoutMs and fails with
+    // an Error whose message is the BFF's error code, or NETWORK / CORS_BLOCKED / TIMEOUT / PARSE / REQUEST_FAILED;
+    // .status is the HTTP status when there was one
+    async function bffRequest(path, { method = 'GET', headers = {}, body, timeoutMs = REQUEST_TIMEOUT_MS, auth = true } = {}) {
+      const h = Object.assign({}, headers);
+      if (body !== undefined) h['content-type'] = 'application/json';
+      const ctrl = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const timer = setTimeout(() => { try { ctrl && ctrl.abort(); } catch(_){} }, timeoutMs);
+      const aborted = () => !!(ctrl && ctrl.signal.aborted);
+      try {
+        let resp;
+        try {
+          const init = { method, headers: h, body, signal: ctrl ? ctrl.signal : undefined };
+          resp = await (auth ? authorizedFetch(`${API_BASE}${path}`, init) : fetch(`${API_BASE}${path}`, init));
+        } catch (e) {
+          if (e && e.session) throw e;
+          throw requestError(aborted() ? 'TIMEOUT' : await networkErrorCode());
+        }
+        const requestId = resp.headers.get('x-request-id') || '';
+        let data;
+        try {
+          data = await resp.json();
+        } catch (_) {
+          throw requestError(aborted() ? 'TIMEOUT' : 'PARSE', resp.status, requestId);
+        }
+        if (!resp.ok || (data && data.error)) {
+          const err = requestError(data && data.error ? String(data.error) : 'REQUEST_FAILED', resp.status, requestId);
+          const retryAfter = Number(resp.headers.get('retry-after'));
+          if (retryAfter > 0) err.retryAfterSeconds = retryAfter;
+          throw err;
+        }
+        return data;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    // For payment adapters that talk to the BFF (the fake provider registers its test card with the mock)
+    function bffPost(path, payload) {
+      return bffRequest(path, { method: 'POST', body: JSON.stringify(payload) });
+    }
+
+    // Every attempt for the same order carries the same Idempotency-Key, so a retry after a dropped
+    // connection returns the original order instead of placing a new one
+    async function submitPurchase(pending) {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await bffRequest('/api/bff/demo/purchase', {
+            method: 'POST',
+            headers: { 'idempotency-key': pending.key },
+            body: pending.body,
+          });
+        } catch (e) {
+          if (attempt >= PURCHASE_ATTEMPTS || !isOutcomeUnknown(e)) throw e;
+          await wait(PURCHASE_RETRY_DELAY_MS * attempt);
+        }
+      }
+    }
+
+    // Server-side pricing (line totals, promo discount, fees) for the cart and draft.promoCode
+    function quoteKey() {
+      return JSON.stringify([getSelectedItems().map(it => [it.offerId, it.qty, it.amountMinor]), draft.promoCode]);
+    }
+
+    function currentQuote() {
+      return quote && quote.key === quoteKey() ? quote.data : null;
+    }
+
+    function requestQuote() {
+      const key = quoteKey();
+      if (quoteRequest && quoteRequest.key === key) return quoteRequest.promise;
+      const body = { merchantId: MERCHANT_ID, items: getSelectedItems() };
+      if (draft.promoCode) body.promoCode = draft.promoCode;
+      const promise = bffRequest('/api/bff/demo/quote', { method: 'POST', body: JSON.stringify(body) })
+        .then((data) => {
+          quote = { key, data };
+          return data;
+        })
+        .finally(() => { if (quoteRequest && quoteRequest.promise === promise) quoteRequest = null; });
+      quoteRequest = { key, promise };
+      return promise;
+    }
+
+    function ensureQuote() {
+      const data = currentQuote();
+      return data ? Promise.resolve(data) : requestQuote();
+    }
+
+    // The order placed with this key, or null if the BFF never saw it
+    async function fetchOrderStatus(key) {
+      const query = `merchantId=${encodeURIComponent(MERCHANT_ID)}&idempotencyKey=${encodeURIComponent(key)}`;
+      try {
+        return await bffRequest(`/api/bff/demo/orders?${query}`);
       } catch (e) {
-        lastErrorMessage = e && e.message ? e.message : 'UNKNOWN';
-        setView('error');
+        if (e.message === 'ORDER_NOT_FOUND') return null;
+        throw e;
       }
-    });
-  }
+    }
+
+    // recipient: { recipientId } or { email } (orders without recipient ids)
+    function resendOrderEmail(orderId, recipient) {
+      return bffRequest(`/api/bff/demo/orders/${encodeURIComponent(orderId)}/resend`, {
+        method: 'POST',
+        body: JSON.stringify(Object.assign({ merchantId: MERCHANT_ID }, recipient)),
+      });
+    }
+
+    function fetchBalance(code) {
+      const query = `merchantId=${encodeURIComponent(MERCHANT_ID)}&code=${encodeURIComponent(code)}`;
+      return bffRequest(`/api/bff/demo/balance?${query}`);
+    }
 
-  function renderConfirm(order) {
-    const total = formatMoney(order.currency || 'EUR', order.totalMinor);
-    const codes = (order.giftCards || []).map(g => `<li><span class=\"ow-mono\">${escapeHtml(g.code)}</span> — ${escapeHtml(g.recipientEmail)} (${escapeHtml(g.currency || order.currency)} ${((g.valueMinor || 0)/100).toFixed(2)})</li>`).join('');
-    bodyEl.innerHTML = `
-      <div class="ow-confirm">
-        <div style="font-size:16px;font-weight:700;margin-bottom:6px;">Order Confirmed</div>
-        <div style="margin-bottom:10px;">Order ID: <span class="ow-mono">${escapeHtml(order.orderId)}</span></div>
-        <div style="margin-bottom:10px;">Total: <strong>${total}</strong></div>
-        <div style="font-weight:700;margin-top:10px;">Issued Codes</div>
-        <ul style="margin-top:6px;padding-left:18px;">${codes || '<li>No codes issued.</li>'}</ul>
+    // Root HTML skeleton
+    const container = document.createElement('div');
+    container.className = cls([
+      'ow-font',
+      mountEl && !INLINE && 'ow-launcher-inline',
+      POSITION.startsWith('top') && 'ow-pos-top',
+      POSITION.endsWith('left') && 'ow-pos-left',
+    ]);
+    // Inline mode reuses the dialog markup as an always-visible region without launcher or backdrop
+    container.setAttribute('lang', LOCALE);
+    container.innerHTML = `
+      <style>${styles}</style>
+      ${INLINE ? '' : `
+      <button class="ow-fab" type="button" aria-haspopup="dialog" aria-controls="ow-modal" aria-expanded="false" aria-label="${escapeAttr(BUTTON_LABEL || t('title'))}">
+        ${BUTTON_ICON ? `<span class="ow-dot" aria-hidden="true">${escapeHtml(BUTTON_ICON)}</span>` : ''}
+        ${BUTTON_LABEL ? `<span>${escapeHtml(BUTTON_LABEL)}</span>` : ''}
+        <span class="ow-status-dot" id="ow-status-dot" aria-hidden="true"></span>
+      </button>`}
+      <div id="ow-modal" ${INLINE
+        ? 'class="ow-modal ow-inline" role="region" aria-labelledby="ow-title"'
+        : 'class="ow-modal" role="dialog" aria-modal="true" aria-labelledby="ow-title"'}>
+        ${INLINE ? '' : '<div class="ow-backdrop"></div>'}
+        <div class="ow-dialog" tabindex="-1">
+          <div class="ow-header">
+            <h2 class="ow-title" id="ow-title">${t('title')}</h2>
+            <div class="ow-head-right">
+              <span class="ow-status-pill" id="ow-status-label">${t('status.idle')}</span>
+              <button class="ow-status-retry" type="button" id="ow-status-retry" title="${escapeAttr(t('status.recheck'))}" aria-label="${escapeAttr(t('status.recheck'))}">↻</button>
+              ${INLINE ? '' : `<button class="ow-close" type="button" aria-label="${escapeAttr(t('action.close'))}">✕</button>`}
+            </div>
+          </div>
+          <div class="ow-notice" id="ow-notice" role="status" hidden>
+            <div style="flex:1;"><strong>${t('notice.title')}</strong><ul id="ow-notice-list"></ul></div>
+            <button class="ow-link-btn" type="button" id="ow-notice-dismiss">${t('notice.dismiss')}</button>
+          </div>
+          <div class="ow-tabs" id="ow-tabs" role="tablist" aria-label="${escapeAttr(t('tabs.label'))}" hidden>
+            <button class="ow-tab" type="button" role="tab" id="ow-tab-shop" data-tab="catalog" aria-controls="ow-body">${t('tabs.shop')}</button>
+            <button class="ow-tab" type="button" role="tab" id="ow-tab-balance" data-tab="balance" aria-controls="ow-body">${t('tabs.balance')}</button>
+          </div>
+          <div class="ow-body" id="ow-body"></div>
+          <div class="ow-footer" id="ow-footer"></div>
+          <div class="ow-sr-only" id="ow-live" role="status" aria-live="polite" aria-atomic="true"></div>
+        </div>
       </div>
     `;
-    footerEl.innerHTML = `
-      <button class="ow-btn secondary" type="button" id="ow-done">Done</button>
-    `;
-    footerEl.querySelector('#ow-done').addEventListener('click', () => {
-      closeModal();
-    });
-  }
+    root.appendChild(container);
 
-  function setView(next, loadingMessage) {
-    view = next;
-    if (view === 'loading') {
-      renderLoading(loadingMessage);
-      return;
+    const fabBtn = container.querySelector('.ow-fab');
+    const modal = container.querySelector('#ow-modal');
+    const dialogEl = container.querySelector('.ow-dialog');
+    const liveEl = container.querySelector('#ow-live');
+    const noticeEl = container.querySelector('#ow-notice');
+    const bodyEl = container.querySelector('#ow-body');
+    const footerEl = container.querySelector('#ow-footer');
+    const tabsEl = container.querySelector('#ow-tabs');
+    const closeBtn = container.querySelector('.ow-close');
+    const statusDot = container.querySelector('#ow-status-dot');
+    const statusLabel = container.querySelector('#ow-status-label');
+    const statusRetry = container.querySelector('#ow-status-retry');
+
+    // Event wiring
+    // ESC handling (global; only attached while the modal is open)
+    const escHandler = (e) => {
+      if (e.key === 'Escape' && isModalVisible()) closeModal();
+    };
+    let returnFocusEl = null; // focused element before the modal opened
+    if (!INLINE) {
+      fabBtn.addEventListener('click', async () => {
+        openModal();
+      });
+      closeBtn.addEventListener('click', () => { closeModal(); });
+      modal.querySelector('.ow-backdrop').addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) closeModal();
+      });
+      modal.addEventListener('keydown', trapFocus);
     }
-    if (view === 'error') {
-      const code = sanitizeErrorCode(lastErrorMessage);
-      renderError(undefined, code);
-      return;
+    if (statusRetry) statusRetry.addEventListener('click', () => recheckHealth());
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('online', onConnectivityChange);
+    window.addEventListener('offline', onConnectivityChange);
+    container.querySelector('#ow-notice-dismiss').addEventListener('click', () => hideNotices());
+
+    // Keep Tab/Shift+Tab cycling inside the dialog
+    function trapFocus(e) {
+      if (e.key !== 'Tab') return;
+      const items = Array.from(dialogEl.querySelectorAll(
+        'button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), a[href], [tabindex="0"]'
+      ));
+      const active = root.activeElement;
+      if (!items.length) { e.preventDefault(); dialogEl.focus(); return; }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && (!active || active === first || active === dialogEl)) { e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && (!active || active === last)) { e.preventDefault(); first.focus(); }
     }
-    if (view === 'catalog') {
-      renderLoading('Loading offers...');
-      fetchOffersOnce().then(({ offers }) => {
-        renderCatalog(offers, offers[0]?.currency || 'EUR');
-      }).catch((e) => {
-        lastErrorMessage = e && e.message ? e.message : 'UNKNOWN';
-        renderError(undefined, sanitizeErrorCode(lastErrorMessage));
-      });
-      return;
+
+    // Polite announcements for changes that don't move focus (quantities, amounts, form errors)
+    function announce(message) {
+      liveEl.textContent = '';
+      setTimeout(() => { if (!destroyed) liveEl.textContent = message; }, 50);
     }
-    if (view === 'checkout') {
-      fetchOffersOnce().then(({ offers }) => {
-        renderCheckout(offers);
-      }).catch((e) => {
-        lastErrorMessage = e && e.message ? e.message : 'UNKNOWN';
-        renderError(undefined, sanitizeErrorCode(lastErrorMessage));
-      });
-      return;
+
+    // Re-renders replace the focused control. Focus moves to its replacement (same view) or to the new
+    // view's [data-autofocus], but only while the user is working inside the widget.
+    let keepFocus = false;
+    let focusKey = null;
+
+    function rememberFocus(sameView) {
+      const active = root.activeElement;
+      if (!active) return; // e.g. a loading view in between; keep what the previous call recorded
+      keepFocus = true;
+      focusKey = sameView && active !== dialogEl ? {
+        id: active.id,
+        cls: active.classList[0] || '',
+        dataId: active.getAttribute('data-id'),
+        amount: active.getAttribute('data-amount'),
+      } : null;
     }
-    if (view === 'confirm') {
-      if (lastOrder) renderConfirm(lastOrder); else renderError('Missing order', 'UNKNOWN');
-      return;
+
+    function findFocusTarget(key) {
+      if (!key) return null;
+      if (key.id) return container.querySelector(`#${key.id}`);
+      if (!key.cls) return null;
+      const sameOffer = (el) => el.getAttribute('data-id') === key.dataId;
+      const match = Array.from(container.querySelectorAll(`.${key.cls}`))
+        .find(el => sameOffer(el) && el.getAttribute('data-amount') === key.amount);
+      if (match && !match.disabled) return match;
+      // e.g. "+" became disabled at maxPerOrder: stay on the same card's quantity field
+      return Array.from(container.querySelectorAll('.ow-qty-input')).find(sameOffer) || null;
     }
-  }
 
-  function openModal() {
-    if (isOpen) { modal.classList.add('open'); return; }
-    isOpen = true;
-    modal.classList.add('open');
-    setView('catalog'); // fetch on first open via view
-    runHealthCheck();
-  }
+    function afterRender() {
+      bodyEl.removeAttribute('aria-busy');
+      if (!keepFocus) return;
+      const target = findFocusTarget(focusKey) || container.querySelector('[data-autofocus]') || dialogEl;
+      keepFocus = false;
+      focusKey = null;
+      target.focus();
+    }
 
-  function closeModal() {
-    modal.classList.remove('open');
-    // persist selections during the session; do not clear selected
-  }
+    // Render functions
+    function renderLoading(message) {
+      bodyEl.setAttribute('aria-busy', 'true');
+      bodyEl.innerHTML = `
+        <div class="ow-empty">
+          <div class="ow-spinner"></div>
+          <div>${message || t('loading')}</div>
+        </div>
+      `;
+      footerEl.innerHTML = '';
+    }
 
-  // Helpers
-  function isValidEmail(email) {
-    // Simple email heuristic
-    return /.+@.+\..+/.test(email);
-  }
-  function escapeHtml(str) {
-    return String(str || '')
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#039;');
-  }
+    // Without an explicit message, the localized text for the error code is shown
+    function errorMessage(code) {
+      return t.has(`errors.${code}`) ? t(`errors.${code}`) : t('errors.UNKNOWN');
+    }
+
+    function recordError(e) {
+      lastErrorMessage = e && e.message ? e.message : 'UNKNOWN';
+      lastErrorRequestId = (e && e.requestId) || '';
+    }
+
+    // "Reference: <id>" under an error, so a buyer can quote it and support can find the request in the BFF's logs
+    function requestIdNote(requestId) {
+      return requestId ? `<div class="ow-muted ow-request-id">${t('error.reference', { id: `<code>${escapeHtml(requestId)}</code>` })}</div>` : '';
+    }
+
+    function renderError(message, code, requestId) {
+      if (!message && code) message = errorMessage(code);
+      bodyEl.innerHTML = `
+        <div class="ow-error" role="alert">
+          <div>${t('error.title')}${code ? ':' : ''} ${code ? `<code>${code}</code>` : ''}</div>
+          ${message ? `<div class="ow-error-detail">${message}</div>` : ''}
+        </div>
+        ${requestIdNote(requestId)}
+      `;
+      const otherCard = PAYMENT_PROVIDER !== 'none' && PAYMENT_RETRY_CODES.includes(code);
+      footerEl.innerHTML = `
+        <button class="ow-btn secondary" type="button" id="ow-back" ${otherCard ? '' : 'data-autofocus'}>${t('action.back')}</button>
+        ${otherCard ? `<button class="ow-btn primary" type="button" id="ow-other-card" data-autofocus>${t('action.otherCard')}</button>` : ''}
+      `;
+      footerEl.querySelector('#ow-back').addEventListener('click', () => {
+        setView('catalog');
+      });
+      if (otherCard) footerEl.querySelector('#ow-other-card').addEventListener('click', () => setView('payment'));
+    }
+
+    // 429 on the purchase: counts down Retry-After (announced only once it's over), then allows resending the order
+    function renderRateLimited() {
+      bodyEl.innerHTML = `
+        <div class="ow-error" role="alert">
+          <div>${t('error.title')}: <code>RATE_LIMITED</code></div>
+          <div class="ow-error-detail">${t('errors.RATE_LIMITED')}</div>
+        </div>
+        <div class="ow-muted" id="ow-retry-countdown"></div>
+        ${requestIdNote(lastErrorRequestId)}
+      `;
+      footerEl.innerHTML = `
+        <button class="ow-btn secondary" type="button" id="ow-back" data-autofocus>${t('action.back')}</button>
+        <button class="ow-btn primary" type="button" id="ow-retry" disabled></button>
+      `;
+      const countdownEl = bodyEl.querySelector('#ow-retry-countdown');
+      const retryBtn = footerEl.querySelector('#ow-retry');
+      footerEl.querySelector('#ow-back').addEventListener('click', () => {
+        rateLimitedUntil = 0;
+        pendingPurchase = null;
+        saveState();
+        setView('checkout');
+      });
+      retryBtn.addEventListener('click', () => placeOrder());
+      let timer = null;
+      const tick = () => {
+        if (!countdownEl.isConnected) { clearInterval(timer); return; } // another view replaced this one
+        const left = Math.ceil((rateLimitedUntil - Date.now()) / 1000);
+        if (left > 0) {
+          countdownEl.textContent = t('rateLimit.retryIn', { time: formatCountdown(left) });
+          retryBtn.textContent = t('action.retryIn', { time: formatCountdown(left) });
+          return;
+        }
+        clearInterval(timer);
+        countdownEl.textContent = t('rateLimit.ready');
+        retryBtn.textContent = t('action.retry');
+        retryBtn.disabled = false;
+        announce(t('rateLimit.ready'));
+      };
+      tick();
+      if (retryBtn.disabled) timer = setInterval(tick, 1000);
+    }
+
+    // Submission failed without a verdict (dropped connection, timeout, 5xx): offer a status check and a safe retry.
+    // notPlaced: the status check found no order.
+    function renderPurchaseUnknown(code, notPlaced) {
+      bodyEl.innerHTML = `
+        <div class="ow-error" role="alert">
+          <div>${notPlaced ? t('purchase.notPlaced') : `${t('purchase.unknownTitle')}${code ? `: <code>${code}</code>` : ''}`}</div>
+          ${notPlaced ? '' : `<div class="ow-error-detail">${t('purchase.unknown')}</div>`}
+        </div>
+        ${notPlaced ? '' : requestIdNote(lastErrorRequestId)}
+      `;
+      footerEl.innerHTML = `
+        <button class="ow-btn secondary" type="button" id="ow-back">${t('action.back')}</button>
+        ${notPlaced ? '' : `<button class="ow-btn secondary" type="button" id="ow-check-status" data-autofocus>${t('action.checkStatus')}</button>`}
+        <button class="ow-btn primary" type="button" id="ow-retry" ${notPlaced ? 'data-autofocus' : ''}>${t('action.retry')}</button>
+      `;
+      footerEl.querySelector('#ow-back').addEventListener('click', () => setView('catalog'));
+      const checkBtn = footerEl.querySelector('#ow-check-status');
+      if (checkBtn) checkBtn.addEventListener('click', () => checkOrderStatus());
+      footerEl.querySelector('#ow-retry').addEventListener('click', () => placeOrder());
+    }
+
+    function updateStatusUI() {
+      if (!statusLabel) return;
+      // Inline mode has no launcher, so no status dot
+      const targets = statusDot ? [statusDot, statusLabel] : [statusLabel];
+      targets.forEach(el => el.classList.remove('ok','err','checking'));
+      let text = t('status.idle');
+      if (health.status === 'checking') { targets.forEach(el => el.classList.add('checking')); text = t('status.checking'); }
+      else if (health.status === 'ok') { targets.forEach(el => el.classList.add('ok')); text = t('status.ok'); }
+      else if (health.status === 'error') { targets.forEach(el => el.classList.add('err')); text = t('status.error') + (health.code ? `: ${health.code}` : ''); }
+      statusLabel.textContent = text;
+      const details = [text];
+      if (health.last) details.push(new Date(health.last).toLocaleTimeString(LOCALE));
+      if (health.status === 'ok' && health.latencyMs !== null) details.push(`${Math.round(health.latencyMs)} ms`);
+      statusLabel.title = details.join(' • ');
+    }
+
+    // Health: one check on load, then retries only after failures, backing off from HEALTH_RETRY_MIN_MS up to
+    // HEALTH_RETRY_MAX_MS. Retries wait while the tab is hidden or the browser is offline.
+    async function runHealthCheck() {
+      if (destroyed || health.status === 'checking') return;
+      clearTimeout(healthTimer);
+      healthTimer = null;
+      health.status = 'checking'; health.code = ''; health.last = Date.now(); updateStatusUI();
+      const url = `${API_BASE}/api/bff/demo/health?merchantId=${encodeURIComponent(MERCHANT_ID)}`;
+      const ctrl = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const timeout = setTimeout(() => { try { ctrl && ctrl.abort(); } catch(_){} }, 8000);
+      const started = Date.now();
+      let resp;
+      try {
+        resp = await authorizedFetch(url, { method: 'GET', cache: 'no-store', signal: ctrl ? ctrl.signal : undefined });
+      } catch (e) {
+        clearTimeout(timeout);
+        return healthFailed(e && e.session ? e.message : await networkErrorCode());
+      }
+      clearTimeout(timeout);
+      let data = null;
+      try { data = await resp.json(); } catch (_) {}
+      if (destroyed) return;
+      if (resp.ok) {
+        health.status = 'ok'; health.code = ''; health.last = Date.now();
+        // Prefer the BFF's upstream round trip; fall back to our own
+        health.latencyMs = data && data.upstream && Number.isFinite(data.upstream.latencyMs) ? data.upstream.latencyMs : Date.now() - started;
+        health.failures = 0;
+        updateStatusUI();
+        return;
+      }
+      healthFailed(data && data.error ? String(data.error) : 'REQUEST_FAILED');
+    }
+
+    function healthFailed(code) {
+      if (destroyed) return;
+      health.status = 'error'; health.code = code; health.last = Date.now(); health.latencyMs = null;
+      health.failures++;
+      updateStatusUI();
+      scheduleHealthCheck(Math.min(HEALTH_RETRY_MIN_MS * 2 ** (health.failures - 1), HEALTH_RETRY_MAX_MS));
+    }
+
+    function scheduleHealthCheck(delay) {
+      clearTimeout(healthTimer);
+      healthTimer = setTimeout(() => {
+        healthTimer = null;
+        // Left pending; visibilitychange / online pick it up
+        if (document.hidden || navigator.onLine === false) { healthDue = true; return; }
+        runHealthCheck();
+      }, delay);
+    }
+
+    // A manual recheck, reconnect or open starts the backoff over
+    function recheckHealth() {
+      health.failures = 0;
+      healthDue = false;
+      runHealthCheck();
+    }
+
+    function onVisibilityChange() {
+      if (document.hidden || !healthDue) return;
+      healthDue = false;
+      runHealthCheck();
+    }
+
+    function onConnectivityChange() {
+      if (document.hidden) { healthDue = true; return; }
+      recheckHealth();
+    }
+
+    function filterOffers(offers) {
+      const query = catalogFilter.query.trim().toLocaleLowerCase(LOCALE);
+      const list = offers.filter((o) => {
+        if (catalogFilter.tag && !(Array.isArray(o.tags) && o.tags.includes(catalogFilter.tag))) return false;
+        if (!query) return true;
+        return `${o.name || ''} ${o.description || ''}`.toLocaleLowerCase(LOCALE).includes(query);
+      });
+      // Open-value offers sort by their lowest amount
+      const price = (o) => (isOpenValue(o) ? o.minAmountMinor : o.amountMinor);
+      if (catalogFilter.sort === 'priceAsc') list.sort((a, b) => price(a) - price(b));
+      else if (catalogFilter.sort === 'priceDesc') list.sort((a, b) => price(b) - price(a));
+      else if (catalogFilter.sort === 'name') list.sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''), LOCALE));
+      return list;
+    }
+
+    function renderToolbar(offers) {
+      const tags = Array.from(new Set([].concat(...offers.map(o => (Array.isArray(o.tags) ? o.tags : [])))))
+        .filter(tag => typeof tag === 'string' && tag)
+        .sort((a, b) => a.localeCompare(b, LOCALE));
+      if (catalogFilter.tag && !tags.includes(catalogFilter.tag)) catalogFilter.tag = '';
+      const chip = (tag, label, i) => {
+        const active = catalogFilter.tag === tag;
+        return `<button type="button" class="ow-tag${active ? ' active' : ''}" id="ow-tag-${i}" data-tag="${escapeAttr(tag)}" aria-pressed="${active}">${escapeHtml(label)}</button>`;
+      };
+      return `
+        <div class="ow-toolbar" role="search">
+          <input class="ow-input ow-search" id="ow-search" type="search" value="${escapeAttr(catalogFilter.query)}"
+            placeholder="${escapeAttr(t('catalog.search'))}" aria-label="${escapeAttr(t('catalog.search'))}" aria-controls="ow-grid">
+          <select class="ow-input" id="ow-sort" aria-label="${escapeAttr(t('catalog.sortLabel'))}" aria-controls="ow-grid">
+            ${SORT_MODES.map(mode => `<option value="${mode}" ${mode === catalogFilter.sort ? 'selected' : ''}>${t(`catalog.sort.${mode}`)}</option>`).join('')}
+          </select>
+        </div>
+        ${tags.length ? `
+        <div class="ow-tags" role="group" aria-label="${escapeAttr(t('catalog.tagsLabel'))}">
+          ${chip('', t('catalog.allTags'), 0)}${tags.map((tag, i) => chip(tag, tag, i + 1)).join('')}
+        </div>` : ''}
+      `;
+    }
+
+    // The catalog is rendered once per visit. Quantity/amount changes patch the affected card and the
+    // footer (updateCard/updateCatalogFooter); filters reorder and hide the existing cards (layoutGrid).
+    function renderCatalog(offers, currency) {
+      catalogOffers = offers;
+      const cards = offers.map((o, i) => {
+        const qty = selected.get(o.id) || 0;
+        const idPrefix = `ow-offer-${i}`;
+        const name = o.name || '';
+        const reachMax = typeof o.maxPerOrder === 'number' && qty >= o.maxPerOrder;
+        const cur = o.currency || currency || 'EUR';
+        const open = isOpenValue(o);
+        // The currency code comes from the BFF, and formatMoney falls back to printing it as is
+        const price = open
+          ? t('catalog.amountRange', { min: escapeHtml(formatMoney(cur, o.minAmountMinor)), max: escapeHtml(formatMoney(cur, o.maxAmountMinor)) })
+          : escapeHtml(formatMoney(cur, o.amountMinor));
+        const maxNote = o.maxPerOrder ? t('catalog.maxPerOrder', { max: escapeHtml(String(o.maxPerOrder)) }) : '';
+        const srcRaw = o.imageUrl || o.image || o.imageURL;
+        const src = typeof srcRaw === 'string' && srcRaw ? resolveAssetUrl(srcRaw) : '';
+        const img = src ? `<img alt="${escapeHtml(o.name)}" src="${escapeAttr(src)}">` : `<div class="ow-media-placeholder">🛍️</div>`;
+        return `
+          <div class="ow-card" data-id="${escapeAttr(o.id)}" role="group" aria-labelledby="${idPrefix}-name">
+            <div class="ow-media">${img}</div>
+            <div class="ow-content">
+              <div class="ow-name" id="${idPrefix}-name">${escapeHtml(o.name || t('catalog.unnamed'))}</div>
+              <div class="ow-desc">${escapeHtml(o.description || '')}</div>
+              <div class="ow-actions">
+                <div class="ow-price">${price}</div>
+                <div class="ow-note">${maxNote}</div>
+              </div>
+              ${open ? renderAmountPicker(o, cur, idPrefix) : ''}
+              <div class="ow-qty">
+                <button type="button" class="ow-dec" data-id="${escapeAttr(o.id)}" aria-label="${escapeAttr(t('a11y.decrease', { name }))}" ${qty === 0 ? 'disabled' : ''}>−</button>
+                <input type="text" inputmode="numeric" role="spinbutton" class="ow-qty-input" data-id="${escapeAttr(o.id)}" value="${qty}"
+                  aria-valuenow="${qty}" aria-valuemin="0" ${Number.isFinite(o.maxPerOrder) ? `aria-valuemax="${o.maxPerOrder}"` : ''}
+                  aria-label="${escapeAttr(t('catalog.qtyLabel', { name }))}">
+                <button type="button" class="ow-inc" data-id="${escapeAttr(o.id)}" aria-label="${escapeAttr(t('a11y.increase', { name }))}" ${reachMax ? 'disabled' : ''}>＋</button>
+              </div>
+            </div>
+          </div>
+        `;
+      }).join('');
+      bodyEl.innerHTML = `
+        ${offers.length > 1 ? renderToolbar(offers) : ''}
+        <div class="ow-grid" id="ow-grid">
+          ${cards || `<div class="ow-empty">${t('catalog.empty')}</div>`}
+          <div class="ow-empty" id="ow-no-matches" hidden>
+            <div>${t('catalog.noMatches')}</div>
+            <button class="ow-link-btn" type="button" id="ow-clear-filters">${t('catalog.clearFilters')}</button>
+          </div>
+        </div>
+        ${recentOrders.length ? `
+        <div class="ow-recent-link">
+          <button class="ow-link-btn" type="button" id="ow-recent">${t('action.recentOrders', { count: recentOrders.length })}</button>
+        </div>` : ''}
+      `;
+      layoutGrid();
+
+      footerEl.innerHTML = `
+        <div class="ow-footer-info" id="ow-footer-info"></div>
+        ${INLINE ? '' : `<button class="ow-btn secondary" type="button" id="ow-cancel">${t('action.close')}</button>`}
+        <button class="ow-btn primary" type="button" id="ow-checkout">${t('action.checkout')}</button>
+      `;
+      if (!INLINE) footerEl.querySelector('#ow-cancel').addEventListener('click', closeModal);
+      footerEl.querySelector('#ow-checkout').addEventListener('click', () => setView('checkout'));
+      updateCatalogFooter();
+    }
+
+    function findCard(offerId) {
+      return Array.from(bodyEl.querySelectorAll('.ow-card')).find(card => card.getAttribute('data-id') === offerId) || null;
+    }
+
+    // Show the cards that pass the filter, in sort order; the elements (and their images) are reused
+    function layoutGrid() {
+      const gridEl = bodyEl.querySelector('#ow-grid');
+      if (!gridEl || !catalogOffers) return 0;
+      const visible = filterOffers(catalogOffers);
+      const shown = new Set(visible.map(o => o.id));
+      for (const o of visible) {
+        const card = findCard(o.id);
+        if (card) gridEl.insertBefore(card, gridEl.querySelector('#ow-no-matches'));
+      }
+      bodyEl.querySelectorAll('.ow-card').forEach(card => { card.hidden = !shown.has(card.getAttribute('data-id')); });
+      gridEl.querySelector('#ow-no-matches').hidden = visible.length > 0 || catalogOffers.length === 0;
+      return visible.length;
+    }
+
+    function updateCard(offerId) {
+      const card = findCard(offerId);
+      const offer = catalogOffers && catalogOffers.find(o => o.id === offerId);
+      if (!card || !offer) return;
+      const qty = selected.get(offerId) || 0;
+      const max = Number.isFinite(offer.maxPerOrder) ? offer.maxPerOrder : Infinity;
+      const input = card.querySelector('.ow-qty-input');
+      const dec = card.querySelector('.ow-dec');
+      const inc = card.querySelector('.ow-inc');
+      input.value = String(qty);
+      input.setAttribute('aria-valuenow', String(qty));
+      // A button that becomes disabled drops focus; keep it on the card's quantity field instead
+      const active = root.activeElement;
+      const refocus = (active === dec && qty === 0) || (active === inc && qty >= max);
+      dec.disabled = qty === 0;
+      inc.disabled = qty >= max;
+      if (refocus) input.focus();
+      if (isOpenValue(offer)) {
+        const current = unitAmount(offer);
+        card.querySelectorAll('.ow-preset').forEach(chip => {
+          const on = Number(chip.getAttribute('data-amount')) === current;
+          chip.classList.toggle('active', on);
+          chip.setAttribute('aria-pressed', String(on));
+        });
+        const amountInput = card.querySelector('.ow-amount-input');
+        if (amountInput) amountInput.value = String(current / 10 ** currencyDigits(offer.currency || 'EUR'));
+      }
+    }
+
+    function updateCatalogFooter() {
+      const info = footerEl.querySelector('#ow-footer-info');
+      const checkoutBtn = footerEl.querySelector('#ow-checkout');
+      if (!info || !checkoutBtn || !catalogOffers) return;
+      const itemCount = countSelectedItems();
+      const subtotal = sumSelectedSubtotalMinor(catalogOffers);
+      const subtotalFmt = catalogOffers.length ? formatMoney(catalogOffers[0].currency || 'EUR', subtotal) : '';
+      info.innerHTML = `
+        <div>${t('catalog.selected')} <strong>${itemCount}</strong></div>
+        ${itemCount > 0 ? `<div>${t('catalog.subtotal')} <strong>${escapeHtml(subtotalFmt)}</strong></div>` : ''}
+      `;
+      checkoutBtn.disabled = itemCount === 0;
+    }
+
+    // Every quantity control goes through here: clamp, patch, announce
+    function changeQty(id, qty) {
+      const offer = catalogOffers.find(o => o.id === id);
+      if (!offer) return;
+      const max = Number.isFinite(offer.maxPerOrder) ? offer.maxPerOrder : Infinity;
+      const next = Math.min(Math.max(0, Math.floor(qty) || 0), max);
+      setSelectedQty(id, next);
+      updateCard(id);
+      updateCatalogFooter();
+      announce(t('a11y.qtyChanged', { name: offer.name || '', qty: next, count: countSelectedItems() }));
+    }
+
+    function changeAmount(id, amountMinor) {
+      const offer = catalogOffers.find(o => o.id === id);
+      if (!offer) return;
+      setSelectedAmount(id, amountMinor);
+      updateCard(id);
+      updateCatalogFooter();
+      announce(t('a11y.amountChanged', { name: offer.name || '', amount: formatMoney(offer.currency || 'EUR', unitAmount(offer)) }));
+    }
+
+    function applyFilter() {
+      bodyEl.querySelectorAll('.ow-tag').forEach(chip => {
+        const on = chip.getAttribute('data-tag') === catalogFilter.tag;
+        chip.classList.toggle('active', on);
+        chip.setAttribute('aria-pressed', String(on));
+      });
+      const searchEl = bodyEl.querySelector('#ow-search');
+      if (searchEl && searchEl.value !== catalogFilter.query) searchEl.value = catalogFilter.query;
+      announce(t('catalog.results', { count: layoutGrid() }));
+    }
+
+    // Catalog controls are delegated once on bodyEl, so rendering never re-binds listeners
+    bodyEl.addEventListener('click', (e) => {
+      if (view !== 'catalog' || !catalogOffers) return;
+      const btn = e.target.closest('button');
+      if (!btn) return;
+      const id = btn.getAttribute('data-id');
+      if (btn.classList.contains('ow-inc')) changeQty(id, (selected.get(id) || 0) + 1);
+      else if (btn.classList.contains('ow-dec')) changeQty(id, (selected.get(id) || 0) - 1);
+      else if (btn.classList.contains('ow-preset')) changeAmount(id, Number(btn.getAttribute('data-amount')));
+      else if (btn.classList.contains('ow-tag')) {
+        catalogFilter.tag = btn.getAttribute('data-tag');
+        applyFilter();
+      } else if (btn.id === 'ow-clear-filters') {
+        Object.assign(catalogFilter, { query: '', tag: '' });
+        applyFilter();
+        const searchEl = bodyEl.querySelector('#ow-search');
+        if (searchEl) searchEl.focus();
+      } else if (btn.id === 'ow-recent') {
+        setView('orders');
+      }
+    });
+    bodyEl.addEventListener('input', (e) => {
+      if (view !== 'catalog' || !catalogOffers || e.target.id !== 'ow-search') return;
+      catalogFilter.query = e.target.value;
+      applyFilter();
+    });
+    bodyEl.addEventListener('change', (e) => {
+      if (view !== 'catalog' || !catalogOffers) return;
+      const el = e.target;
+      const id = el.getAttribute('data-id');
+      if (el.id === 'ow-sort') {
+        catalogFilter.sort = el.value;
+        applyFilter();
+      } else if (el.classList.contains('ow-qty-input')) {
+        changeQty(id, Number(String(el.value).trim()));
+      } else if (el.classList.contains('ow-amount-input')) {
+        const offer = catalogOffers.find(o => o.id === id);
+        const v = Number(String(el.value).trim().replace(',', '.'));
+        // Entered in major units; anything unparsable keeps the previous amount
+        if (String(el.value).trim() && Number.isFinite(v)) {
+          changeAmount(id, snapAmount(offer, Math.round(v * 10 ** currencyDigits(offer.currency || 'EUR'))));
+        } else {
+          updateCard(id);
+        }
+      }
+    });
+    // Spinbutton keys: arrows step by one, Home/End jump to 0/maxPerOrder
+    bodyEl.addEventListener('keydown', (e) => {
+      if (view !== 'catalog' || !catalogOffers || !e.target.classList.contains('ow-qty-input')) return;
+      const id = e.target.getAttribute('data-id');
+      const offer = catalogOffers.find(o => o.id === id);
+      const qty = selected.get(id) || 0;
+      let next = null;
+      if (e.key === 'ArrowUp') next = qty + 1;
+      else if (e.key === 'ArrowDown') next = qty - 1;
+      else if (e.key === 'Home') next = 0;
+      else if (e.key === 'End' && Number.isFinite(offer.maxPerOrder)) next = offer.maxPerOrder;
+      if (next === null) return;
+      e.preventDefault();
+      changeQty(id, next);
+    });
+
+    // Preset chips plus a free amount field in major units; preset-only offers get just the chips
+    function renderAmountPicker(offer, currency, idPrefix) {
+      const current = unitAmount(offer);
+      const chips = presetAmounts(offer).filter(a => snapAmount(offer, a) === a).map(a => `
+        <button type="button" class="ow-preset${a === current ? ' active' : ''}" data-id="${escapeAttr(offer.id)}" data-amount="${a}" aria-pressed="${a === current}">${escapeHtml(formatMoney(currency, a))}</button>
+      `).join('');
+      const groupLabel = escapeAttr(t('catalog.amountLabel', { name: offer.name || '' }));
+      if (isPresetOnly(offer)) return `<div class="ow-amount" role="group" aria-label="${groupLabel}">${chips}</div>`;
+      const scale = 10 ** currencyDigits(currency);
+      const step = offer.stepMinor > 0 ? offer.stepMinor : 1;
+      return `
+        <div class="ow-amount" role="group" aria-label="${groupLabel}">
+          ${chips}
+          <input type="number" class="ow-amount-input" data-id="${escapeAttr(offer.id)}" inputmode="decimal"
+            min="${offer.minAmountMinor / scale}" max="${offer.maxAmountMinor / scale}" step="${step / scale}" value="${current / scale}"
+            aria-label="${groupLabel}" ${step > 1 ? `aria-describedby="${idPrefix}-amount-note"` : ''}>
+        </div>
+        ${step > 1 ? `<div class="ow-amount-note" id="${idPrefix}-amount-note">${t('catalog.amountStep', { step: escapeHtml(formatMoney(currency, step)) })}</div>` : ''}
+      `;
+    }
+
+    function renderCheckout(offers) {
+      const items = getSelectedItems();
+      const haveItems = items.length > 0;
+      normalizeAssignments(items);
+      const multi = draft.recipients.length > 1;
+      const summary = items.map(it => {
+        const offer = offers.find(o => o.id === it.offerId);
+        const name = offer ? offer.name : it.offerId;
+        const price = offer ? escapeHtml(formatMoney(offer.currency || 'EUR', unitAmount(offer))) : '';
+        return `<li><strong>${escapeHtml(name)}</strong> × ${it.qty} <span class="ow-muted">${t('checkout.each', { price })}</span></li>`;
+      }).join('');
+      const recipientsHtml = draft.recipients.map((r, i) => {
+        const p = `ow-${r.id}`;
+        return `
+          <div class="ow-recipient" data-rid="${escapeAttr(r.id)}">
+            <div class="ow-recipient-head">
+              <div class="ow-section-title">${t('checkout.recipient', { n: i + 1 })}</div>
+              ${multi ? `<button class="ow-link-btn" type="button" data-remove="${escapeAttr(r.id)}">${t('checkout.removeRecipient')}</button>` : ''}
+            </div>
+            <div class="ow-field">
+              <label class="ow-label" for="${p}-name">${t('checkout.recipientName')}</label>
+              <input class="ow-input" id="${p}-name" type="text" data-rfield="name" aria-required="true" value="${escapeAttr(r.name)}">
+              <div class="ow-hint" id="${p}-name-hint" style="display:none;">${t('checkout.recipientNameHint')}</div>
+            </div>
+            <div class="ow-field">
+              <label class="ow-label" for="${p}-email">${t('checkout.recipientEmail')}</label>
+              <input class="ow-input" id="${p}-email" type="email" data-rfield="email" aria-required="true" value="${escapeAttr(r.email)}" placeholder="recipient@domain.com">
+              <div class="ow-hint" id="${p}-email-hint" style="display:none;">${t('checkout.emailHint')}</div>
+            </div>
+            <div class="ow-field">
+              <label class="ow-label" for="${p}-message">${t('checkout.message')}</label>
+              <textarea class="ow-input" id="${p}-message" rows="2" maxlength="${MAX_MESSAGE_LENGTH}" data-rfield="message" placeholder="${escapeAttr(t('checkout.messagePlaceholder'))}">${escapeHtml(r.message)}</textarea>
+            </div>
+            <div class="ow-field">
+              <label class="ow-label" for="${p}-deliverAt">${t('checkout.deliverAt')}</label>
+              <input class="ow-input" id="${p}-deliverAt" type="date" min="${todayIso()}" max="${lastScheduleIso()}" data-rfield="deliverAt" value="${escapeAttr(r.deliverAt)}">
+              <div class="ow-hint" id="${p}-deliverAt-hint" style="display:none;">${t('checkout.deliverAtHint')}</div>
+            </div>
+            <div class="ow-hint" id="${p}-unassigned-hint" style="display:none;">${t('checkout.unassignedHint')}</div>
+          </div>
+        `;
+      }).join('');
+      // With several recipients, every single card gets its own recipient picker
+      const assignHtml = multi ? items.map(it => {
+        const offer = offers.find(o => o.id === it.offerId);
+        const name = offer ? offer.name : it.offerId;
+        return draft.assignments[it.offerId].map((rid, unit) => `
+          <label class="ow-assign">
+            <span>${escapeHtml(t('checkout.assignUnit', { name, n: unit + 1 }))}</span>
+            <select class="ow-input" data-offer="${escapeAttr(it.offerId)}" data-unit="${unit}">
+              ${draft.recipients.map((r, i) => `<option value="${escapeAttr(r.id)}" ${r.id === rid ? 'selected' : ''}>${escapeHtml(recipientLabel(r, i))}</option>`).join('')}
+            </select>
+          </label>
+        `).join('');
+      }).join('') : '';
+      bodyEl.innerHTML = `
+        <div class="ow-form">
+          <div class="ow-summary">
+            <div class="ow-section-title">${t('checkout.summary')}</div>
+            <ul id="ow-summary-lines">${summary || `<li>${t('checkout.noItems')}</li>`}</ul>
+            <div id="ow-pricing" aria-live="polite"></div>
+          </div>
+          ${haveItems ? `
+          <div class="ow-field" id="ow-promo-field"></div>` : ''}
+          <div class="ow-field">
+            <label class="ow-label" for="ow-buyer-name">${t('checkout.buyerName')}</label>
+            <input class="ow-input" id="ow-buyer-name" type="text" data-draft="buyerName" aria-required="true" data-autofocus value="${escapeAttr(draft.buyerName)}" placeholder="${escapeAttr(t('checkout.buyerNamePlaceholder'))}">
+            <div class="ow-hint" id="ow-buyer-name-hint" style="display:none;">${t('checkout.buyerNameHint')}</div>
+          </div>
+          <div class="ow-field">
+            <label class="ow-label" for="ow-buyer-email">${t('checkout.buyerEmail')}</label>
+            <input class="ow-input" id="ow-buyer-email" type="email" data-draft="buyerEmail" aria-required="true" value="${escapeAttr(draft.buyerEmail)}" placeholder="jane@acme.com">
+            <div class="ow-hint" id="ow-buyer-email-hint" style="display:none;">${t('checkout.emailHint')}</div>
+          </div>
+          ${recipientsHtml}
+          <div><button class="ow-link-btn" type="button" id="ow-add-recipient">${t('checkout.addRecipient')}</button></div>
+          ${multi ? `
+          <div class="ow-summary">
+            <div class="ow-section-title">${t('checkout.assign')}</div>
+            <div class="ow-assign-list">${assignHtml}</div>
+          </div>` : ''}
+        </div>
+      `;
+      footerEl.innerHTML = `
+        <button class="ow-btn secondary" type="button" id="ow-back">${t('action.back')}</button>
+        <button class="ow-btn primary" type="button" id="ow-submit" ${haveItems ? '' : 'disabled'}>${PAYMENT_PROVIDER === 'none' ? t('action.submit') : t('action.toPayment')}</button>
+      `;
+      footerEl.querySelector('#ow-back').addEventListener('click', () => setView('catalog'));
+      if (haveItems) {
+        renderPromoField('');
+        updatePricing(offers);
+      }
+      bodyEl.querySelectorAll('[data-draft]').forEach(inp => {
+        inp.addEventListener('input', () => {
+          draft[inp.getAttribute('data-draft')] = inp.value;
+          saveState();
+        });
+      });
+      bodyEl.querySelectorAll('.ow-recipient').forEach(block => {
+        const rid = block.getAttribute('data-rid');
+        const r = draft.recipients.find(x => x.id === rid);
+        block.querySelectorAll('[data-rfield]').forEach(inp => {
+          inp.addEventListener('input', () => {
+            r[inp.getAttribute('data-rfield')] = inp.value;
+            saveState();
+            // Keep the assignment pickers' labels in sync without re-rendering (which would drop focus)
+            const idx = draft.recipients.indexOf(r);
+            bodyEl.querySelectorAll('option').forEach(opt => {
+              if (opt.value === rid) opt.textContent = recipientLabel(r, idx);
+            });
+          });
+        });
+        const removeBtn = block.querySelector('[data-remove]');
+        if (removeBtn) removeBtn.addEventListener('click', () => {
+          draft.recipients = draft.recipients.filter(x => x.id !== rid);
+          saveState();
+          renderCheckout(offers);
+          bodyEl.querySelector('#ow-add-recipient').focus();
+        });
+      });
+      bodyEl.querySelector('#ow-add-recipient').addEventListener('click', () => {
+        const r = newRecipient();
+        draft.recipients.push(r);
+        saveState();
+        renderCheckout(offers);
+        bodyEl.querySelector(`#ow-${r.id}-name`).focus();
+      });
+      bodyEl.querySelectorAll('select[data-offer]').forEach(sel => {
+        sel.addEventListener('change', () => {
+          draft.assignments[sel.getAttribute('data-offer')][Number(sel.getAttribute('data-unit'))] = sel.value;
+          saveState();
+        });
+      });
+      const submitBtn = footerEl.querySelector('#ow-submit');
+      submitBtn.addEventListener('click', async () => {
+        // Validate
+        const nameEl = bodyEl.querySelector('#ow-buyer-name');
+        const buyerEmailEl = bodyEl.querySelector('#ow-buyer-email');
+        const v = {
+          name: (nameEl.value || '').trim(),
+          buyerEmail: (buyerEmailEl.value || '').trim(),
+        };
+        let valid = true;
+        function setInvalid(el, hintId, bad) {
+          if (el) {
+            if (bad) el.classList.add('invalid'); else el.classList.remove('invalid');
+            if (bad) { el.setAttribute('aria-invalid', 'true'); el.setAttribute('aria-describedby', hintId); }
+            else { el.removeAttribute('aria-invalid'); el.removeAttribute('aria-describedby'); }
+          }
+          bodyEl.querySelector('#'+hintId).style.display = bad ? 'block' : 'none';
+          if (bad) valid = false;
+        }
+        setInvalid(nameEl, 'ow-buyer-name-hint', v.name.length === 0);
+        setInvalid(buyerEmailEl, 'ow-buyer-email-hint', !isValidEmail(v.buyerEmail));
+        const assignedIds = new Set([].concat(...Object.values(draft.assignments)));
+        const today = todayIso();
+        const lastDay = lastScheduleIso();
+        for (const r of draft.recipients) {
+          const p = `ow-${r.id}`;
+          setInvalid(bodyEl.querySelector(`#${p}-name`), `${p}-name-hint`, r.name.trim().length === 0);
+          setInvalid(bodyEl.querySelector(`#${p}-email`), `${p}-email-hint`, !isValidEmail(r.email.trim()));
+          setInvalid(bodyEl.querySelector(`#${p}-deliverAt`), `${p}-deliverAt-hint`, !!r.deliverAt && (r.deliverAt < today || r.deliverAt > lastDay));
+          setInvalid(null, `${p}-unassigned-hint`, !assignedIds.has(r.id));
+        }
+        if (!valid) {
+          const firstInvalid = bodyEl.querySelector('.ow-input.invalid');
+          if (firstInvalid) firstInvalid.focus();
+          announce(t('a11y.formErrors'));
+          return;
+        }
+        if (!haveItems) return;
+        if (PAYMENT_PROVIDER === 'none') submitOrder(null); else setView('payment');
+      });
+    }
+
+    // Quote-driven part of the checkout summary: server line totals, discount, fees and total
+    function updatePricing(offers) {
+      const pricingEl = bodyEl.querySelector('#ow-pricing');
+      if (!pricingEl) return;
+      const data = currentQuote();
+      if (data) {
+        renderPricing(data, offers);
+        return;
+      }
+      pricingEl.innerHTML = `<div class="ow-totals ow-muted">${t('checkout.quoting')}</div>`;
+      const key = quoteKey();
+      requestQuote().then(() => {
+        if (view === 'checkout' && key === quoteKey()) updatePricing(offers);
+      }, (e) => {
+        if (view !== 'checkout' || key !== quoteKey()) return;
+        const code = e && e.message;
+        // A saved code that stopped applying (expired, cart below minimum): drop it, say why, price without it
+        if (draft.promoCode && PROMO_ERROR_CODES.includes(code)) {
+          draft.promoCode = '';
+          saveState();
+          renderPromoField(code);
+          updatePricing(offers);
+          return;
+        }
+        pricingEl.innerHTML = `<div class="ow-totals ow-muted">${t('checkout.quoteFailed')}</div>`;
+      });
+    }
+
+    function renderPricing(data, offers) {
+      const currency = data.currency || 'EUR';
+      const money = (minor) => escapeHtml(formatMoney(currency, minor || 0));
+      if (Array.isArray(data.lines) && data.lines.length) {
+        bodyEl.querySelector('#ow-summary-lines').innerHTML = data.lines.map((line) => {
+          const offer = offers.find(o => o.id === line.offerId);
+          const name = line.name || (offer ? offer.name : line.offerId);
+          return `<li><strong>${escapeHtml(name)}</strong> × ${Number(line.qty) || 0} <span class="ow-muted">${t('checkout.each', { price: money(line.unitAmountMinor) })}</span><span class="ow-line-total">${money(line.totalMinor)}</span></li>`;
+        }).join('');
+      }
+      const discounts = Array.isArray(data.discounts) ? data.discounts : [];
+      bodyEl.querySelector('#ow-pricing').innerHTML = `
+        <dl class="ow-totals">
+          <div><dt>${t('checkout.subtotal')}</dt><dd>${money(data.subtotalMinor)}</dd></div>
+          ${discounts.map(d => `<div><dt>${escapeHtml(d.label || t('checkout.discount'))}${d.code ? ` (${escapeHtml(d.code)})` : ''}</dt><dd>−${money(d.amountMinor)}</dd></div>`).join('')}
+          ${data.feeMinor ? `<div><dt>${t('checkout.fees')}</dt><dd>${money(data.feeMinor)}</dd></div>` : ''}
+          <div class="ow-total"><dt>${t('checkout.total')}</dt><dd>${money(data.totalMinor)}</dd></div>
+        </dl>
+      `;
+    }
+
+    // Code entry, or the applied code with a remove button. errorCode: why the last code was refused.
+    // errorCode: a refused code (PROMO_ERROR_CODES) marks the field invalid; anything else, like NETWORK or
+    // TIMEOUT, only says why it couldn't be checked, so Apply can be pressed again
+    function renderPromoField(errorCode) {
+      const fieldEl = bodyEl.querySelector('#ow-promo-field');
+      if (!fieldEl) return;
+      const offers = offersCache ? offersCache.offers : [];
+      if (draft.promoCode) {
+        fieldEl.innerHTML = `
+          <div class="ow-label">${t('checkout.promo')}</div>
+          <div class="ow-input-row">
+            <span>${escapeHtml(t('checkout.promoApplied', { code: draft.promoCode }))}</span>
+            <button class="ow-link-btn" type="button" id="ow-promo-remove">${t('action.removeCode')}</button>
+          </div>
+        `;
+        fieldEl.querySelector('#ow-promo-remove').addEventListener('click', () => {
+          draft.promoCode = '';
+          saveState();
+          renderPromoField('');
+          updatePricing(offers);
+          bodyEl.querySelector('#ow-promo').focus();
+        });
+        return;
+      }
+      const refused = PROMO_ERROR_CODES.includes(errorCode);
+      fieldEl.innerHTML = `
+        <label class="ow-label" for="ow-promo">${t('checkout.promo')}</label>
+        <div class="ow-input-row">
+          <input class="ow-input${refused ? ' invalid' : ''}" id="ow-promo" type="text" autocomplete="off" autocapitalize="characters" placeholder="${escapeAttr(t('checkout.promoPlaceholder'))}" ${refused ? 'aria-invalid="true" ' : ''}${errorCode ? 'aria-describedby="ow-promo-hint"' : ''}>
+          <button class="ow-btn secondary" type="button" id="ow-promo-apply">${t('action.apply')}</button>
+        </div>
+        <div class="ow-hint" id="ow-promo-hint" role="alert" ${errorCode ? '' : 'style="display:none;"'}>${errorCode ? escapeHtml(errorMessage(errorCode)) : ''}</div>
+      `;
+      const input = fieldEl.querySelector('#ow-promo');
+      const applyBtn = fieldEl.querySelector('#ow-promo-apply');
+      const apply = () => {
+        const code = input.value.trim().toUpperCase();
+        if (!code) return;
+        applyBtn.disabled = true;
+        draft.promoCode = code;
+        requestQuote().then((data) => {
+          draft.promoCode = data.promoCode || code;
+          saveState();
+          if (view !== 'checkout') return;
+          renderPromoField('');
+          renderPricing(data, offers);
+          announce(t('checkout.promoApplied', { code: draft.promoCode }));
+          bodyEl.querySelector('#ow-promo-remove').focus();
+        }, (e) => {
+          draft.promoCode = '';
+          if (view !== 'checkout') return;
+          const code = sanitizeErrorCode(e && e.message);
+          renderPromoField(code);
+          const retry = bodyEl.querySelector('#ow-promo');
+          retry.value = input.value;
+          retry.focus();
+        });
+      };
+      applyBtn.addEventListener('click', apply);
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); apply(); }
+      });
+    }
+
+    // Payment step: the provider adapter renders its fields into #ow-payment-element and turns them into a token
+    function getPaymentProvider() {
+      if (payment) return payment;
+      const factory = registry.paymentProviders.get(PAYMENT_PROVIDER);
+      if (!factory) return null;
+      const adapter = factory();
+      payment = {
+        adapter,
+        ready: Promise.resolve(adapter.init && adapter.init({ merchantId: MERCHANT_ID, locale: LOCALE, t, post: bffPost })),
+      };
+      // A failed init can be retried on the next visit
+      payment.ready.catch(() => { payment = null; });
+      return payment;
+    }
+
+    // Pays the quoted total, so discounts and fees are what the BFF charges
+    function renderPayment(priced) {
+      const currency = priced.currency || 'EUR';
+      const total = formatMoney(currency, priced.totalMinor);
+      bodyEl.innerHTML = `
+        <div class="ow-form">
+          <div class="ow-summary">
+            <div class="ow-section-title">${t('payment.title')}</div>
+            <div>${t('payment.total', { total: escapeHtml(total) })}</div>
+          </div>
+          <div id="ow-payment-element"></div>
+          <div class="ow-error ow-payment-error" id="ow-payment-error" role="alert" hidden></div>
+        </div>
+      `;
+      footerEl.innerHTML = `
+        <button class="ow-btn secondary" type="button" id="ow-back">${t('action.back')}</button>
+        <button class="ow-btn primary" type="button" id="ow-pay">${t('action.pay', { total: escapeHtml(total) })}</button>
+      `;
+      const { adapter } = payment;
+      adapter.render(bodyEl.querySelector('#ow-payment-element'));
+      footerEl.querySelector('#ow-back').addEventListener('click', () => setView('checkout'));
+      const payBtn = footerEl.querySelector('#ow-pay');
+      const errorEl = bodyEl.querySelector('#ow-payment-error');
+      payBtn.addEventListener('click', async () => {
+        errorEl.hidden = true;
+        payBtn.disabled = true;
+        payBtn.textContent = t('payment.processing');
+        let result;
+        try {
+          result = await adapter.confirm({ amountMinor: priced.totalMinor, currency });
+        } catch (e) {
+          // Stay on the form: the adapter has marked its fields, we show why
+          const code = sanitizeErrorCode(e && (e.code || e.message));
+          const message = t.has(`errors.${code}`) ? t(`errors.${code}`) : (e && e.message && e.message !== code ? e.message : t('errors.UNKNOWN'));
+          errorEl.textContent = message;
+          errorEl.hidden = false;
+          payBtn.disabled = false;
+          payBtn.textContent = t('action.pay', { total });
+          return;
+        }
+        submitOrder({ provider: PAYMENT_PROVIDER, token: result.token });
+      });
+    }
+
+    function submitOrder(paymentResult) {
+      const payload = buildPurchasePayload({ name: draft.buyerName.trim(), buyerEmail: draft.buyerEmail.trim() });
+      const order = JSON.stringify(payload);
+      if (paymentResult) payload.payment = paymentResult;
+      const body = JSON.stringify(payload);
+      // Resubmitting an unconfirmed order keeps its key, even when paid again; any change to the order makes it a new one
+      if (!pendingPurchase || pendingPurchase.order !== order) pendingPurchase = { key: generateIdempotencyKey(), order, body };
+      else pendingPurchase.body = body;
+      saveState();
+      emit('purchase-submit', Object.assign({ items: getSelectedItems(), recipientCount: payload.recipients.length }, cartTotals()));
+      placeOrder();
+    }
+
+    async function placeOrder() {
+      rateLimitedUntil = 0;
+      setView('loading', t('loading.submitting'));
+      try {
+        completeOrder(await submitPurchase(pendingPurchase));
+      } catch (e) {
+        recordError(e);
+        if (e && e.status === 429) {
+          // Nothing was placed, but the order stays as it is: the retry button sends it again after Retry-After
+          rateLimitedUntil = Date.now() + (e.retryAfterSeconds || RATE_LIMIT_FALLBACK_S) * 1000;
+        } else if (!isOutcomeUnknown(e)) {
+          // A definite rejection means nothing was placed; the next attempt is a new order with a new key
+          pendingPurchase = null;
+          saveState();
+        }
+        // These mean our copy of the catalog is out of date; refetch so Back shows what changed
+        if (['OFFER_NOT_FOUND', 'INVALID_AMOUNT', 'QTY_LIMIT', 'CURRENCY_MISMATCH'].includes(lastErrorMessage)) revalidateOffers();
+        if (payment && PAYMENT_RETRY_CODES.includes(lastErrorMessage) && payment.adapter.onError) payment.adapter.onError(lastErrorMessage);
+        emit('purchase-error', { code: sanitizeErrorCode(lastErrorMessage) });
+        setView('error');
+      }
+    }
+
+    async function checkOrderStatus() {
+      setView('loading', t('loading.checkingStatus'));
+      let order;
+      try {
+        order = await fetchOrderStatus(pendingPurchase.key);
+      } catch (e) {
+        recordError(e);
+        setView('error');
+        return;
+      }
+      if (order) { completeOrder(order); return; }
+      // Never reached the BFF: safe to send again (still with the same key)
+      rememberFocus(false);
+      view = 'error';
+      renderPurchaseUnknown('', true);
+      afterRender();
+    }
+
+    function completeOrder(res) {
+      lastOrder = res;
+      lastOrderFromHistory = false;
+      rememberOrder(res);
+      pendingPurchase = null;
+      draft.promoCode = ''; // used up by this order
+      // The order is placed: empty the cart so a reload can't resubmit it
+      for (const offerId of Array.from(selected.keys())) setSelectedQty(offerId, 0);
+      saveState();
+      hideNotices();
+      emit('purchase-success', {
+        orderId: res.orderId,
+        currency: res.currency,
+        subtotalMinor: res.subtotalMinor,
+        feeMinor: res.feeMinor,
+        totalMinor: res.totalMinor,
+        giftCardCount: Array.isArray(res.giftCards) ? res.giftCards.length : 0,
+      });
+      setView('confirm');
+    }
+
+    // Recipients and card assignment
+    function newRecipient() {
+      const used = draft.recipients.map(r => Number(String(r.id).slice(1)) || 0);
+      return { id: 'r' + (Math.max(0, ...used) + 1), name: '', email: '', message: '', deliverAt: '' };
+    }
+
+    function recipientLabel(r, index) {
+      return r.name.trim() || r.email.trim() || t('checkout.recipient', { n: index + 1 });
+    }
+
+    // One recipient id per card unit; unknown ids and new units fall back to the first recipient
+    function normalizeAssignments(items) {
+      const ids = draft.recipients.map(r => r.id);
+      const next = {};
+      for (const it of items) {
+        const prev = Array.isArray(draft.assignments[it.offerId]) ? draft.assignments[it.offerId] : [];
+        const units = [];
+        for (let i = 0; i < it.qty; i++) units.push(ids.includes(prev[i]) ? prev[i] : ids[0]);
+        next[it.offerId] = units;
+      }
+      draft.assignments = next;
+    }
+
+    function buildPurchasePayload(buyer) {
+      const recipients = draft.recipients.map(r => {
+        const out = { id: r.id, name: r.name.trim(), email: r.email.trim() };
+        if (r.message.trim()) out.message = r.message.trim();
+        if (r.deliverAt) out.deliverAt = r.deliverAt;
+        return out;
+      });
+      const items = [];
+      for (const it of getSelectedItems()) {
+        const perRecipient = new Map();
+        for (const rid of draft.assignments[it.offerId]) perRecipient.set(rid, (perRecipient.get(rid) || 0) + 1);
+        for (const [recipientId, qty] of perRecipient.entries()) items.push({ offerId: it.offerId, qty, amountMinor: it.amountMinor, recipientId });
+      }
+      return {
+        merchantId: MERCHANT_ID,
+        buyer: { name: buyer.name, email: buyer.buyerEmail },
+        // Single-recipient field kept for BFFs that predate `recipients`
+        recipient: { email: recipients[0].email },
+        recipients,
+        items,
+        ...(draft.promoCode ? { promoCode: draft.promoCode } : {}),
+      };
+    }
+
+    function renderConfirm(order) {
+      const total = formatMoney(order.currency || 'EUR', order.totalMinor);
+      const groups = groupGiftCards(order);
+      const codes = groups.map((grp, i) => `
+        <div class="ow-recipient-group">
+          <div class="ow-section-title">${escapeHtml(grp.name ? `${grp.name} <${grp.email}>` : grp.email)}</div>
+          ${grp.deliverAt ? `<div class="ow-muted">${t('confirm.deliverOn', { date: escapeHtml(formatDate(grp.deliverAt)) })}</div>` : ''}
+          ${grp.message ? `<div class="ow-muted">“${escapeHtml(grp.message)}”</div>` : ''}
+          <ul>${grp.cards.map(g => `
+            <li>
+              <span class="ow-mono">${escapeHtml(g.code)}</span> — ${escapeHtml(formatMoney(g.currency || order.currency || 'EUR', g.valueMinor || 0))}
+              <button class="ow-link-btn" type="button" data-copy="${escapeAttr(g.code)}" aria-label="${escapeAttr(t('a11y.copyCode', { code: g.code }))}">${t('action.copy')}</button>
+            </li>`).join('')}
+          </ul>
+          ${grp.email ? `<button class="ow-link-btn" type="button" data-resend="${i}" aria-label="${escapeAttr(t('a11y.resendTo', { email: grp.email }))}">${t('action.resend')}</button>` : ''}
+        </div>
+      `).join('');
+      const saved = recentOrders.find(entry => entry.order.orderId === order.orderId);
+      bodyEl.innerHTML = `
+        <div class="ow-confirm">
+          <h3 class="ow-view-title" tabindex="-1" data-autofocus>${t('confirm.title')}</h3>
+          <div style="margin-bottom:10px;">${t('confirm.orderId')} <span class="ow-mono">${escapeHtml(order.orderId)}</span></div>
+          ${lastOrderFromHistory && saved ? `<div style="margin-bottom:10px;">${t('confirm.placedAt')} ${escapeHtml(formatDateTime(saved.placedAt))}</div>` : ''}
+          ${order.discountMinor > 0 ? `<div style="margin-bottom:10px;">${t('confirm.discount')} −${escapeHtml(formatMoney(order.currency || 'EUR', order.discountMinor))}${order.promoCode ? ` (${escapeHtml(order.promoCode)})` : ''}</div>` : ''}
+          <div style="margin-bottom:10px;">${t('confirm.total')} <strong>${escapeHtml(total)}</strong></div>
+          <div style="font-weight:700;margin-top:10px;">${t('confirm.codes')}</div>
+          ${codes || `<div class="ow-muted">${t('confirm.noCodes')}</div>`}
+          <div class="ow-muted" id="ow-confirm-status" role="status"></div>
+          <div class="ow-receipt-actions">
+            <button class="ow-link-btn" type="button" id="ow-receipt-print">${t('action.printReceipt')}</button>
+            <button class="ow-link-btn" type="button" id="ow-receipt-download">${t('action.downloadReceipt')}</button>
+          </div>
+        </div>
+      `;
+      footerEl.innerHTML = `
+        ${lastOrderFromHistory ? `<button class="ow-btn secondary" type="button" id="ow-back">${t('action.back')}</button>` : ''}
+        <button class="ow-btn secondary" type="button" id="ow-done">${t('action.done')}</button>
+      `;
+      if (lastOrderFromHistory) footerEl.querySelector('#ow-back').addEventListener('click', () => setView('orders'));
+      footerEl.querySelector('#ow-done').addEventListener('click', () => {
+        if (INLINE) setView('catalog'); else closeModal();
+      });
+      const statusEl = bodyEl.querySelector('#ow-confirm-status');
+      bodyEl.querySelectorAll('[data-copy]').forEach(btn => btn.addEventListener('click', () => {
+        const code = btn.getAttribute('data-copy');
+        copyText(code).then(() => {
+          statusEl.textContent = t('confirm.copied', { code });
+          btn.textContent = t('action.copied');
+          setTimeout(() => { btn.textContent = t('action.copy'); }, 2000);
+        }, () => {
+          statusEl.textContent = t('confirm.copyFailed');
+        }).then(() => btn.focus());
+      }));
+      bodyEl.querySelectorAll('[data-resend]').forEach(btn => btn.addEventListener('click', () => {
+        const grp = groups[Number(btn.getAttribute('data-resend'))];
+        btn.disabled = true;
+        resendOrderEmail(order.orderId, grp.recipientId ? { recipientId: grp.recipientId } : { email: grp.email }).then(() => {
+          statusEl.textContent = t('confirm.resent', { email: grp.email });
+        }, (e) => {
+          statusEl.textContent = errorMessage(sanitizeErrorCode(e && e.message));
+        }).then(() => { btn.disabled = false; });
+      }));
+      bodyEl.querySelector('#ow-receipt-print').addEventListener('click', () => printReceipt(order));
+      bodyEl.querySelector('#ow-receipt-download').addEventListener('click', () => downloadReceipt(order));
+    }
+
+    // Issued cards by recipient (recipientId when the BFF sends it, else email)
+    function groupGiftCards(order) {
+      const groups = new Map();
+      for (const g of order.giftCards || []) {
+        const key = g.recipientId || g.recipientEmail || '';
+        if (!groups.has(key)) groups.set(key, { recipientId: g.recipientId, name: g.recipientName, email: g.recipientEmail, message: g.message, deliverAt: g.deliverAt, cards: [] });
+        groups.get(key).cards.push(g);
+      }
+      return Array.from(groups.values());
+    }
+
+    // Clipboard API in secure contexts, else a selected textarea and execCommand
+    function copyText(text) {
+      if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text);
+      return new Promise((resolve, reject) => {
+        const area = document.createElement('textarea');
+        area.value = text;
+        area.setAttribute('readonly', '');
+        area.style.cssText = 'position:fixed;top:0;left:0;opacity:0;';
+        root.appendChild(area);
+        area.select();
+        let copied = false;
+        try { copied = document.execCommand('copy'); } catch (_) {}
+        area.remove();
+        if (copied) resolve(); else reject(new Error('COPY_FAILED'));
+      });
+    }
+
+    // Standalone receipt page (inline styles, print-ready), built from the order response alone
+    function buildReceiptHtml(order) {
+      const currency = order.currency || 'EUR';
+      const money = (minor, cur) => escapeHtml(formatMoney(cur || currency, minor || 0));
+      const saved = recentOrders.find(entry => entry.order.orderId === order.orderId);
+      const discounts = Array.isArray(order.discounts) ? order.discounts
+        : order.discountMinor > 0 ? [{ code: order.promoCode, amountMinor: order.discountMinor }] : [];
+      const totals = [];
+      if (Number.isFinite(order.subtotalMinor)) totals.push([t('checkout.subtotal'), money(order.subtotalMinor)]);
+      for (const d of discounts) totals.push([`${escapeHtml(d.label || t('checkout.discount'))}${d.code ? ` (${escapeHtml(d.code)})` : ''}`, `−${money(d.amountMinor)}`]);
+      if (order.feeMinor) totals.push([t('checkout.fees'), money(order.feeMinor)]);
+      const cards = (order.giftCards || []).map(g => `
+        <tr>
+          <td>${escapeHtml(g.recipientName ? `${g.recipientName} <${g.recipientEmail}>` : g.recipientEmail || '')}${g.deliverAt ? `<br><small>${t('confirm.deliverOn', { date: escapeHtml(formatDate(g.deliverAt)) })}</small>` : ''}</td>
+          <td class="code">${escapeHtml(g.code)}</td>
+          <td class="num">${money(g.valueMinor, g.currency)}</td>
+        </tr>`).join('');
+      return `<!doctype html>
+<html lang="${escapeAttr(LOCALE)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(t('receipt.title'))} ${escapeHtml(order.orderId)}</title>
+<style>
+  body { font: 14px/1.5 system-ui, -apple-system, Segoe UI, Roboto, sans-serif; color: #111; max-width: 640px; margin: 32px auto; padding: 0 16px; }
+  h1 { font-size: 20px; margin: 0 0 12px; }
+  p { margin: 4px 0; }
+  table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+  th, td { text-align: left; padding: 6px 4px; border-bottom: 1px solid #ddd; vertical-align: top; }
+  .num { text-align: right; white-space: nowrap; }
+  .code { font-family: ui-monospace, Menlo, Consolas, monospace; white-space: nowrap; }
+  .total td { font-weight: 700; border-bottom: none; }
+  .note { color: #555; font-size: 12px; }
+  @media print { body { margin: 0; max-width: none; } @page { margin: 15mm; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t('title'))} – ${escapeHtml(t('receipt.title'))}</h1>
+<p>${t('confirm.orderId')} <span class="code">${escapeHtml(order.orderId)}</span></p>
+${saved ? `<p>${t('confirm.placedAt')} ${escapeHtml(formatDateTime(saved.placedAt))}</p>` : ''}
+${order.buyer && order.buyer.email ? `<p>${t('receipt.buyer')} ${escapeHtml(order.buyer.name ? `${order.buyer.name} <${order.buyer.email}>` : order.buyer.email)}</p>` : ''}
+<table>
+  <tbody>${cards}</tbody>
+</table>
+<table>
+  <tbody>
+    ${totals.map(([label, value]) => `<tr><td>${label}</td><td class="num">${value}</td></tr>`).join('')}
+    <tr class="total"><td>${t('checkout.total')}</td><td class="num">${money(order.totalMinor)}</td></tr>
+  </tbody>
+</table>
+<p class="note">${t('receipt.note')}</p>
+</body>
+</html>
+`;
+    }
+
+    // Prints from a hidden frame, so no pop-up is needed; falls back to the download
+    let printFrame = null;
+    function printReceipt(order) {
+      if (printFrame) printFrame.remove();
+      const frame = document.createElement('iframe');
+      frame.setAttribute('aria-hidden', 'true');
+      frame.tabIndex = -1;
+      frame.style.cssText = 'position:fixed;width:0;height:0;border:0;';
+      frame.addEventListener('load', () => {
+        try {
+          frame.contentWindow.focus();
+          frame.contentWindow.print();
+        } catch (_) {
+          downloadReceipt(order);
+        }
+      });
+      frame.srcdoc = buildReceiptHtml(order);
+      root.appendChild(frame);
+      printFrame = frame;
+    }
+
+    function downloadReceipt(order) {
+      const url = URL.createObjectURL(new Blob([buildReceiptHtml(order)], { type: 'text/html' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `receipt-${String(order.orderId).replace(/[^\w-]/g, '_')}.html`;
+      root.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Buy / Check balance tabs, shown on the two top-level views only (not mid-checkout)
+    function updateTabs() {
+      const tabbed = view === 'catalog' || view === 'balance';
+      tabsEl.hidden = !tabbed;
+      tabsEl.querySelectorAll('[role="tab"]').forEach(tab => {
+        const selectedTab = tab.getAttribute('data-tab') === view;
+        tab.setAttribute('aria-selected', String(selectedTab));
+        tab.tabIndex = selectedTab ? 0 : -1;
+      });
+      if (tabbed) {
+        bodyEl.setAttribute('role', 'tabpanel');
+        bodyEl.setAttribute('aria-labelledby', view === 'balance' ? 'ow-tab-balance' : 'ow-tab-shop');
+      } else {
+        bodyEl.removeAttribute('role');
+        bodyEl.removeAttribute('aria-labelledby');
+      }
+    }
+
+    tabsEl.addEventListener('click', (e) => {
+      const tab = e.target.closest('[role="tab"]');
+      if (tab && tab.getAttribute('data-tab') !== view) setView(tab.getAttribute('data-tab'));
+    });
+    // Arrow keys move between tabs (and activate them), per the ARIA tabs pattern
+    tabsEl.addEventListener('keydown', (e) => {
+      if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+      const tabs = Array.from(tabsEl.querySelectorAll('[role="tab"]'));
+      const next = tabs[(tabs.indexOf(e.target) + (e.key === 'ArrowRight' ? 1 : tabs.length - 1)) % tabs.length];
+      e.preventDefault();
+      setView(next.getAttribute('data-tab'));
+      next.focus();
+    });
+
+    // Codes are typed as XXXX-XXXX-XXXX-XXXX; spaces, dashes and case don't matter
+    function formatGiftCode(value) {
+      const raw = String(value).toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 16);
+      return (raw.match(/.{1,4}/g) || []).join('-');
+    }
+
+    function maskGiftCode(code) {
+      return code.replace(/[A-Z0-9](?=.{4})/g, '•');
+    }
+
+    function renderBalance() {
+      bodyEl.innerHTML = `
+        <div class="ow-balance">
+          <h3 class="ow-view-title" tabindex="-1" data-autofocus>${t('tabs.balance')}</h3>
+          <p class="ow-muted">${t('balance.intro')}</p>
+          <div class="ow-field">
+            <label class="ow-label" for="ow-balance-code">${t('balance.code')}</label>
+            <div class="ow-input-row">
+              <input class="ow-input ow-mono" id="ow-balance-code" type="${balanceCheck.reveal ? 'text' : 'password'}" inputmode="text"
+                autocomplete="off" autocapitalize="characters" spellcheck="false" maxlength="19" placeholder="XXXX-XXXX-XXXX-XXXX">
+              <button class="ow-btn secondary" type="button" id="ow-balance-reveal" aria-controls="ow-balance-code" aria-pressed="${balanceCheck.reveal}">${t(balanceCheck.reveal ? 'action.hideCode' : 'action.showCode')}</button>
+            </div>
+            <div class="ow-hint" id="ow-balance-hint" role="alert" style="display:none;"></div>
+          </div>
+          <div id="ow-balance-result" aria-live="polite"></div>
+        </div>
+      `;
+      footerEl.innerHTML = `
+        ${INLINE ? '' : `<button class="ow-btn secondary" type="button" id="ow-cancel">${t('action.close')}</button>`}
+        <button class="ow-btn primary" type="button" id="ow-balance-check">${t('action.checkBalance')}</button>
+      `;
+      if (!INLINE) footerEl.querySelector('#ow-cancel').addEventListener('click', closeModal);
+      const input = bodyEl.querySelector('#ow-balance-code');
+      const revealBtn = bodyEl.querySelector('#ow-balance-reveal');
+      input.value = balanceCheck.code;
+      input.addEventListener('input', () => {
+        const formatted = formatGiftCode(input.value);
+        if (formatted !== input.value) input.value = formatted;
+        balanceCheck.code = formatted;
+        showBalanceHint('');
+      });
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); checkBalance(); }
+      });
+      revealBtn.addEventListener('click', () => {
+        balanceCheck.reveal = !balanceCheck.reveal;
+        input.type = balanceCheck.reveal ? 'text' : 'password';
+        revealBtn.setAttribute('aria-pressed', String(balanceCheck.reveal));
+        revealBtn.textContent = t(balanceCheck.reveal ? 'action.hideCode' : 'action.showCode');
+      });
+      footerEl.querySelector('#ow-balance-check').addEventListener('click', checkBalance);
+      renderBalanceResult();
+    }
+
+    function showBalanceHint(message) {
+      const input = bodyEl.querySelector('#ow-balance-code');
+      const hint = bodyEl.querySelector('#ow-balance-hint');
+      hint.textContent = message;
+      hint.style.display = message ? 'block' : 'none';
+      input.classList.toggle('invalid', !!message);
+      if (message) {
+        input.setAttribute('aria-invalid', 'true');
+        input.setAttribute('aria-describedby', 'ow-balance-hint');
+      } else {
+        input.removeAttribute('aria-invalid');
+        input.removeAttribute('aria-describedby');
+      }
+    }
+
+    function renderBalanceResult() {
+      const resultEl = bodyEl.querySelector('#ow-balance-result');
+      const { result, error, retryAfterSeconds, busy } = balanceCheck;
+      if (busy) {
+        resultEl.innerHTML = `<div class="ow-muted">${t('balance.checking')}</div>`;
+      } else if (error) {
+        const retry = retryAfterSeconds ? ` ${t('balance.retryIn', { minutes: Math.ceil(retryAfterSeconds / 60) })}` : '';
+        resultEl.innerHTML = `<div class="ow-hint">${escapeHtml(errorMessage(error) + retry)}</div>`;
+      } else if (result) {
+        const currency = result.currency || 'EUR';
+        const status = ['active', 'redeemed', 'expired'].includes(result.status) ? result.status : 'active';
+        resultEl.innerHTML = `
+          <dl class="ow-totals">
+            <div><dt>${t('balance.code')}</dt><dd class="ow-mono">${escapeHtml(result.code)}</dd></div>
+            <div><dt>${t('balance.status')}</dt><dd><span class="ow-badge ${status}">${t(`balance.status.${status}`)}</span></dd></div>
+            <div class="ow-total"><dt>${t('balance.remaining')}</dt><dd>${escapeHtml(formatMoney(currency, result.balanceMinor || 0))}</dd></div>
+            ${Number.isFinite(result.valueMinor) ? `<div><dt>${t('balance.value')}</dt><dd>${escapeHtml(formatMoney(currency, result.valueMinor))}</dd></div>` : ''}
+            ${result.expiresAt ? `<div><dt>${t(status === 'expired' ? 'balance.expiredOn' : 'balance.validUntil')}</dt><dd>${escapeHtml(formatDate(result.expiresAt))}</dd></div>` : ''}
+          </dl>
+        `;
+      } else {
+        resultEl.innerHTML = '';
+      }
+      const checkBtn = footerEl.querySelector('#ow-balance-check');
+      if (checkBtn) checkBtn.disabled = busy;
+    }
+
+    async function checkBalance() {
+      if (balanceCheck.busy) return;
+      const code = formatGiftCode(balanceCheck.code);
+      if (code.length !== 19) {
+        showBalanceHint(t('balance.codeHint'));
+        bodyEl.querySelector('#ow-balance-code').focus();
+        return;
+      }
+      Object.assign(balanceCheck, { busy: true, result: null, error: '', retryAfterSeconds: 0 });
+      renderBalanceResult();
+      try {
+        const data = await fetchBalance(code);
+        // The BFF masks the code it echoes; mask it here too in case it doesn't
+        balanceCheck.result = Object.assign({}, data, { code: maskGiftCode(code) });
+        balanceCheck.code = '';
+      } catch (e) {
+        balanceCheck.error = sanitizeErrorCode(e && e.message);
+        balanceCheck.retryAfterSeconds = (e && e.retryAfterSeconds) || 0;
+      }
+      balanceCheck.busy = false;
+      if (view !== 'balance') return;
+      if (!balanceCheck.code) bodyEl.querySelector('#ow-balance-code').value = '';
+      renderBalanceResult();
+    }
+
+    function renderRecentOrders() {
+      const items = recentOrders.map(({ placedAt, order }, i) => {
+        const count = Array.isArray(order.giftCards) ? order.giftCards.length : 0;
+        const total = formatMoney(order.currency || 'EUR', order.totalMinor || 0);
+        return `
+          <li>
+            <button class="ow-order-btn" type="button" data-order="${i}">
+              <strong>${escapeHtml(formatDateTime(placedAt))}</strong>
+              <span class="ow-mono ow-muted">${escapeHtml(order.orderId)}</span><br>
+              <span>${escapeHtml(t('orders.summary', { total, count }))}</span>
+            </button>
+          </li>
+        `;
+      }).join('');
+      bodyEl.innerHTML = `
+        <div class="ow-confirm">
+          <h3 class="ow-view-title" tabindex="-1" data-autofocus>${t('orders.title')}</h3>
+          ${items ? `<ul class="ow-orders">${items}</ul>` : `<div class="ow-muted">${t('orders.empty')}</div>`}
+          ${items ? `
+          <div class="ow-receipt-actions">
+            <span class="ow-muted">${t('orders.stored')}</span>
+            <button class="ow-link-btn" type="button" id="ow-forget-orders">${t('action.forgetOrders')}</button>
+          </div>` : ''}
+        </div>
+      `;
+      footerEl.innerHTML = `
+        <button class="ow-btn secondary" type="button" id="ow-back">${t('action.back')}</button>
+      `;
+      footerEl.querySelector('#ow-back').addEventListener('click', () => setView('catalog'));
+      bodyEl.querySelectorAll('[data-order]').forEach(btn => btn.addEventListener('click', () => {
+        lastOrder = recentOrders[Number(btn.getAttribute('data-order'))].order;
+        lastOrderFromHistory = true;
+        setView('confirm');
+      }));
+      const forgetBtn = bodyEl.querySelector('#ow-forget-orders');
+      if (forgetBtn) forgetBtn.addEventListener('click', () => {
+        recentOrders = [];
+        orderStore.save(recentOrders);
+        rememberFocus(false);
+        renderRecentOrders();
+        afterRender();
+      });
+    }
+
+    function setView(next, loadingMessage) {
+      rememberFocus(next === view);
+      view = next;
+      catalogOffers = null;
+      updateTabs();
+      if (view === 'loading') {
+        renderLoading(loadingMessage);
+        return;
+      }
+      if (view === 'error') {
+        const code = sanitizeErrorCode(lastErrorMessage);
+        if (pendingPurchase && rateLimitedUntil) renderRateLimited();
+        else if (pendingPurchase) renderPurchaseUnknown(code, false);
+        else renderError(undefined, code, lastErrorRequestId);
+        afterRender();
+        return;
+      }
+      if (view === 'catalog') {
+        // With a cached catalog (even a stale one) there is no spinner; loadOffers revalidates in the background
+        if (offersCache) {
+          loadOffers();
+          renderCatalog(offersCache.offers, offersCache.offers[0]?.currency || 'EUR');
+          afterRender();
+          return;
+        }
+        renderLoading(t('loading.offers'));
+        loadOffers().then(({ offers }) => {
+          renderCatalog(offers, offers[0]?.currency || 'EUR');
+        }).catch((e) => {
+          recordError(e);
+          renderError(undefined, sanitizeErrorCode(lastErrorMessage), lastErrorRequestId);
+        }).then(afterRender);
+        return;
+      }
+      if (view === 'checkout') {
+        emit('checkout-start', Object.assign({ items: getSelectedItems() }, cartTotals()));
+        loadOffers().then(({ offers }) => {
+          renderCheckout(offers);
+        }).catch((e) => {
+          recordError(e);
+          renderError(undefined, sanitizeErrorCode(lastErrorMessage), lastErrorRequestId);
+        }).then(afterRender);
+        return;
+      }
+      if (view === 'payment') {
+        const provider = getPaymentProvider();
+        if (!provider) {
+          renderError(undefined, 'PAYMENT_PROVIDER_UNAVAILABLE');
+          afterRender();
+          return;
+        }
+        renderLoading(t('loading.payment'));
+        provider.ready.catch(() => { throw new Error('PAYMENT_PROVIDER_UNAVAILABLE'); }).then(ensureQuote).then((priced) => {
+          renderPayment(priced);
+        }).catch((e) => {
+          recordError(e);
+          renderError(undefined, sanitizeErrorCode(lastErrorMessage), lastErrorRequestId);
+        }).then(afterRender);
+        return;
+      }
+      if (view === 'confirm') {
+        if (lastOrder) renderConfirm(lastOrder); else renderError(t('confirm.missing'), 'UNKNOWN');
+        afterRender();
+        return;
+      }
+      if (view === 'orders') {
+        renderRecentOrders();
+        afterRender();
+        return;
+      }
+      if (view === 'balance') {
+        renderBalance();
+        afterRender();
+        return;
+      }
+    }
+
+    function openModal() {
+      if (destroyed) return;
+      const wasVisible = isModalVisible();
+      if (!wasVisible) emit('open', {});
+      modal.classList.add('open');
+      if (!INLINE && !wasVisible) {
+        returnFocusEl = deepActiveElement();
+        fabBtn.setAttribute('aria-expanded', 'true');
+        window.addEventListener('keydown', escHandler);
+        dialogEl.focus();
+      }
+      // Reopening revalidates right away; the cached catalog stays on screen meanwhile
+      if (isOpen) {
+        if (!wasVisible && offersCache) revalidateOffers();
+        return;
+      }
+      isOpen = true;
+      setView('catalog'); // fetch on first open via view
+      // The load-time check usually covers this; recheck only if it hasn't run yet or failed
+      if (health.status === 'idle' || health.status === 'error') recheckHealth();
+    }
+
+    function closeModal() {
+      // Inline regions stay on the page; there is nothing to close
+      if (INLINE || !isModalVisible()) return;
+      modal.classList.remove('open');
+      fabBtn.setAttribute('aria-expanded', 'false');
+      window.removeEventListener('keydown', escHandler);
+      keepFocus = false;
+      // Back to whatever opened the dialog: the launcher, or a page button that called open()
+      const target = returnFocusEl && returnFocusEl.isConnected && returnFocusEl !== document.body ? returnFocusEl : fabBtn;
+      returnFocusEl = null;
+      target.focus();
+      emit('close', {});
+      // persist selections during the session; do not clear selected
+    }
+
+    // Helpers
+    function resolveAssetUrl(s) {
+      if (!s || typeof s !== 'string') return s;
+      if (/^(https?:|data:|blob:)/i.test(s)) return s;
+      try { return new URL(s, API_BASE).toString(); } catch (_) { return s; }
+    }
+
+    function isModalVisible() {
+      return modal.classList.contains('open');
+    }
+
+    // Public API
+    function setQuantity(offerId, qty, amountMinor) {
+      if (destroyed) return 0;
+      const id = String(offerId || '');
+      if (!id) return 0;
+      const n = Math.floor(Number(qty));
+      let next = Number.isFinite(n) && n > 0 ? n : 0;
+      if (offersCache) {
+        const offer = offersCache.offers.find(o => o.id === id);
+        if (!offer) {
+          console.warn(`[overlay-widget] Unknown or inactive offer: ${id}`);
+          return 0;
+        }
+        if (Number.isFinite(offer.maxPerOrder)) next = Math.min(next, offer.maxPerOrder);
+        if (amountMinor !== undefined && isOpenValue(offer)) setSelectedAmount(id, snapAmount(offer, Number(amountMinor)));
+      } else {
+        cartNeedsCheck = true;
+        if (Number.isInteger(Number(amountMinor)) && Number(amountMinor) > 0) setSelectedAmount(id, Number(amountMinor));
+      }
+      setSelectedQty(id, next);
+      updateCard(id);
+      updateCatalogFooter();
+      return next;
+    }
+
+    function refresh() {
+      if (destroyed) return Promise.resolve(false);
+      return revalidateOffers();
+    }
+
+    function getCart() {
+      return Object.assign({ merchantId: MERCHANT_ID, items: getSelectedItems() }, cartTotals());
+    }
+
+    function reset() {
+      if (destroyed) return;
+      amounts.clear();
+      Object.assign(catalogFilter, { query: '', tag: '', sort: 'default' });
+      for (const offerId of Array.from(selected.keys())) setSelectedQty(offerId, 0);
+      saveState();
+      lastOrder = null;
+      lastOrderFromHistory = false;
+      Object.assign(balanceCheck, { code: '', result: null, error: '', retryAfterSeconds: 0 });
+      lastErrorMessage = '';
+      lastErrorRequestId = '';
+      pendingPurchase = null;
+      draft.promoCode = '';
+      saveState();
+      hideNotices();
+      if (isModalVisible()) setView('catalog');
+    }
+
+    function setTheme(theme) {
+      if (destroyed) return;
+      applyTheme(host, theme);
+    }
+
+    function destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      clearTimeout(initialHealthTimer);
+      clearTimeout(healthTimer);
+      if (payment && payment.adapter.destroy) payment.adapter.destroy();
+      window.removeEventListener('keydown', escHandler);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      window.removeEventListener('online', onConnectivityChange);
+      window.removeEventListener('offline', onConnectivityChange);
+      host.remove();
+      if (registry.instances.get(MERCHANT_ID) === api) registry.instances.delete(MERCHANT_ID);
+    }
+
+    const api = {
+      merchantId: MERCHANT_ID,
+      open: openModal,
+      close: closeModal,
+      setQuantity,
+      getCart,
+      reset,
+      refresh,
+      setTheme,
+      destroy,
+    };
+
+    // Inline mode renders right away; the modal waits for the first open and only runs a passive health check
+    let initialHealthTimer = null;
+    if (INLINE) openModal();
+    else initialHealthTimer = setTimeout(runHealthCheck, 200);
+    return api;
+  }
+
+  // Helpers
+  function isValidEmail(email) {
+    // Simple email heuristic
+    return /.+@.+\..+/.test(email);
+  }
+  // document.activeElement, descending into open shadow roots (our own and other widgets')
+  function deepActiveElement() {
+    let el = document.activeElement;
+    while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+    return el;
+  }
+  function escapeHtml(str) {
+    return String(str || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
   function escapeAttr(str) { return escapeHtml(str).replace(/"/g, '&quot;'); }
+  // Canonical BCP 47 tag for Intl, or 'en' if the tag is malformed
+  function resolveLocale(tag) {
+    try {
+      return Intl.getCanonicalLocales(String(tag).replace(/_/g, '-'))[0] || 'en';
+    } catch (_) {
+      return 'en';
+    }
+  }
+  function createTranslator(locale) {
+    // de-CH-1996 -> ['de-ch-1996', 'de-ch', 'de', 'en']
+    const chain = [];
+    const parts = locale.toLowerCase().split('-');
+    for (let i = parts.length; i > 0; i--) chain.push(parts.slice(0, i).join('-'));
+    if (!chain.includes('en')) chain.push('en');
+    const catalogs = chain.map(tag => MESSAGES[tag]).filter(Boolean);
+    const lookup = (key) => {
+      for (const c of catalogs) if (Object.prototype.hasOwnProperty.call(c, key)) return c[key];
+      return undefined;
+    };
+    const t = (key, params) => {
+      const msg = lookup(key);
+      if (msg === undefined) return key;
+      return params ? msg.replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m)) : msg;
+    };
+    t.has = (key) => lookup(key) !== undefined;
+    return t;
+  }
+  // Fraction digits of a currency (EUR 2, JPY 0, KWD 3); 2 when Intl doesn't know it
+  function currencyDigits(currency) {
+    try {
+      return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+    } catch (_) {
+      return 2;
+    }
+  }
+  // Open-value offers have minAmountMinor/maxAmountMinor (plus stepMinor and/or presetsMinor) instead of amountMinor
+  function isOpenValue(offer) {
+    return !!offer && Number.isInteger(offer.minAmountMinor) && Number.isInteger(offer.maxAmountMinor)
+      && offer.maxAmountMinor >= offer.minAmountMinor;
+  }
+  function presetAmounts(offer) {
+    if (!Array.isArray(offer.presetsMinor)) return [];
+    return offer.presetsMinor.filter(a => Number.isInteger(a) && a >= offer.minAmountMinor && a <= offer.maxAmountMinor);
+  }
+  // Presets without a step restrict the offer to exactly those amounts
+  function isPresetOnly(offer) {
+    return !Number.isInteger(offer.stepMinor) && presetAmounts(offer).length > 0;
+  }
+  // Nearest allowed amount: a preset for preset-only offers, otherwise clamped to the range on the step grid
+  function snapAmount(offer, minor) {
+    const v = Number.isFinite(minor) ? minor : offer.minAmountMinor;
+    if (isPresetOnly(offer)) {
+      return presetAmounts(offer).reduce((best, a) => (Math.abs(a - v) < Math.abs(best - v) ? a : best));
+    }
+    const step = offer.stepMinor > 0 ? offer.stepMinor : 1;
+    const clamped = Math.min(Math.max(v, offer.minAmountMinor), offer.maxAmountMinor);
+    const snapped = offer.minAmountMinor + Math.round((clamped - offer.minAmountMinor) / step) * step;
+    return snapped > offer.maxAmountMinor ? snapped - step : snapped;
+  }
+  function defaultAmount(offer) {
+    const presets = presetAmounts(offer);
+    return snapAmount(offer, presets.length ? presets[0] : offer.minAmountMinor);
+  }
+  // Local calendar date as YYYY-MM-DD (what <input type="date"> uses)
+  function todayIso() {
+    const d = new Date();
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+  // Latest delivery date the BFF takes: MAX_SCHEDULE_DAYS after today in UTC, which is what it counts from
+  function lastScheduleIso() {
+    return new Date(Date.now() + MAX_SCHEDULE_DAYS * 86400 * 1000).toISOString().slice(0, 10);
+  }
+  // Expiring JSON blob in web storage; every method is a no-op when disabled or storage is unavailable
+  function createStateStore(mode, key, ttlMs) {
+    let storage = null;
+    try {
+      if (mode === 'local') storage = window.localStorage;
+      else if (mode === 'session') storage = window.sessionStorage;
+    } catch (_) {}
+    return {
+      load() {
+        if (!storage) return null;
+        try {
+          const raw = JSON.parse(storage.getItem(key) || 'null');
+          if (!raw || typeof raw !== 'object') return null;
+          if (!(raw.expiresAt > Date.now())) { storage.removeItem(key); return null; }
+          return raw.data || null;
+        } catch (_) {
+          return null;
+        }
+      },
+      save(data) {
+        if (!storage) return;
+        try { storage.setItem(key, JSON.stringify({ expiresAt: Date.now() + ttlMs, data })); } catch (_) {}
+      },
+    };
+  }
+  function readSeconds(el, attr, fallback) {
+    const v = Number(el.getAttribute(attr));
+    return el.hasAttribute(attr) && Number.isFinite(v) && v >= 0 ? v : fallback;
+  }
+  // max-age from a Cache-Control header in ms (no-store -> 0); null when absent
+  function parseMaxAge(header) {
+    const value = String(header || '').toLowerCase();
+    if (/(^|,)\s*no-store/.test(value)) return 0;
+    const m = /(?:^|,)\s*max-age=(\d+)/.exec(value);
+    return m ? Number(m[1]) * 1000 : null;
+  }
+  function readChoice(el, attr, choices) {
+    const v = (el.getAttribute(attr) || '').trim().toLowerCase();
+    return choices.includes(v) ? v : choices[0];
+  }
+  // data-theme (JSON) first, then individual data-theme-* attributes on top
+  function readThemeConfig(el) {
+    let theme = {};
+    const json = el.getAttribute('data-theme');
+    if (json) {
+      try {
+        const parsed = JSON.parse(json);
+        if (parsed && typeof parsed === 'object') theme = parsed;
+      } catch (_) {
+        console.warn('[overlay-widget] data-theme is not valid JSON');
+      }
+    }
+    for (const { name, value } of Array.from(el.attributes)) {
+      if (!name.startsWith('data-theme-')) continue;
+      const key = name.slice('data-theme-'.length).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+      theme[key] = value;
+    }
+    return theme;
+  }
+  function applyTheme(hostEl, theme) {
+    if (!theme || typeof theme !== 'object') return;
+    for (const [key, value] of Object.entries(theme)) {
+      if (!THEME_KEYS.includes(key)) {
+        console.warn(`[overlay-widget] Unknown theme key: ${key}`);
+        continue;
+      }
+      const prop = '--ow-' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+      // Custom property values can't break out of the declaration, but reject obvious garbage
+      if (value === null || value === '' || /[;{}]/.test(String(value))) hostEl.style.removeProperty(prop);
+      else hostEl.style.setProperty(prop, String(value));
+    }
+  }
+  // Payment provider adapter contract (factories are registered with OverlayWidget.registerPaymentProvider):
+  // - init({ merchantId, locale, t, post }): optional, may return a promise; called once per widget instance.
+  //   post(path, payload) POSTs JSON to the BFF with the widget's credentials and resolves the parsed reply
+  // - render(container): draw the payment fields into container (inside the widget's shadow root); called each
+  //   time the payment step is shown
+  // - confirm({ amountMinor, currency }): resolve { token } for the purchase payload, or reject with an Error
+  //   whose code (or message) is an error code; the widget shows it on the payment step
+  // - onError(code): optional, the BFF declined the payment (CARD_DECLINED, …)
+  // - destroy(): optional, the widget was destroyed
+  //
+  // "fake" is for local testing only: it sends the card to the mock BFF, which decides the outcome and answers with
+  // an opaque token. Never enter real card data.
+  function createFakePaymentProvider() {
+    let t = (key) => key;
+    let ctx = null;
+    let container = null;
+    // Kept across renders, so coming back from a decline doesn't wipe the form
+    const values = { number: '', exp: '', cvc: '' };
+    const field = (name) => container && container.querySelector(`[data-pay="${name}"]`);
+    function fail(code, name) {
+      const el = field(name);
+      if (el) {
+        el.classList.add('invalid');
+        el.setAttribute('aria-invalid', 'true');
+        el.focus();
+      }
+      const err = new Error(code);
+      err.code = code;
+      throw err;
+    }
+    return {
+      init(c) { ctx = c; t = c.t; },
+      render(el) {
+        container = el;
+        el.innerHTML = `
+          <div class="ow-muted">${t('payment.testMode')}</div>
+          <div class="ow-field">
+            <label class="ow-label" for="ow-pay-number">${t('payment.cardNumber')}</label>
+            <input class="ow-input" id="ow-pay-number" data-pay="number" inputmode="numeric" autocomplete="cc-number" placeholder="4242 4242 4242 4242" value="${escapeAttr(values.number)}" data-autofocus>
+          </div>
+          <div class="ow-field-row">
+            <div class="ow-field">
+              <label class="ow-label" for="ow-pay-exp">${t('payment.expiry')}</label>
+              <input class="ow-input" id="ow-pay-exp" data-pay="exp" inputmode="numeric" autocomplete="cc-exp" placeholder="12/34" value="${escapeAttr(values.exp)}">
+            </div>
+            <div class="ow-field">
+              <label class="ow-label" for="ow-pay-cvc">${t('payment.cvc')}</label>
+              <input class="ow-input" id="ow-pay-cvc" data-pay="cvc" inputmode="numeric" autocomplete="cc-csc" placeholder="123" value="${escapeAttr(values.cvc)}">
+            </div>
+          </div>
+        `;
+        el.querySelectorAll('[data-pay]').forEach(inp => inp.addEventListener('input', () => {
+          values[inp.getAttribute('data-pay')] = inp.value;
+          inp.classList.remove('invalid');
+          inp.removeAttribute('aria-invalid');
+        }));
+      },
+      async confirm({ amountMinor, currency }) {
+        const number = values.number.replace(/[\s-]/g, '');
+        const exp = values.exp.replace(/\s/g, '');
+        const cvc = values.cvc.trim();
+        if (!/^\d{12,19}$/.test(number) || !luhnValid(number)) fail('INVALID_CARD_NUMBER', 'number');
+        const m = /^(\d{2})\/(\d{2})$/.exec(exp);
+        const now = new Date();
+        const month = m ? Number(m[1]) : 0;
+        const year = m ? 2000 + Number(m[2]) : 0;
+        if (month < 1 || month > 12 || year < now.getFullYear() || (year === now.getFullYear() && month < now.getMonth() + 1)) fail('INVALID_EXPIRY', 'exp');
+        if (!/^\d{3,4}$/.test(cvc)) fail('INVALID_CVC', 'cvc');
+        const { token } = await ctx.post('/api/bff/demo/payments/fake-tokens', { merchantId: ctx.merchantId, number, exp, amountMinor, currency });
+        return { token };
+      },
+      onError(code) {
+        // Mirror a real provider: a declined card's security code has to be entered again
+        if (code === 'INCORRECT_CVC') values.cvc = '';
+      },
+      destroy() {
+        container = null;
+        values.number = values.exp = values.cvc = '';
+      },
+    };
+  }
+  function luhnValid(number) {
+    let sum = 0;
+    for (let i = 0; i < number.length; i++) {
+      let d = Number(number[number.length - 1 - i]);
+      if (i % 2 === 1) { d *= 2; if (d > 9) d -= 9; }
+      sum += d;
+    }
+    return sum % 10 === 0;
+  }
+  function requestError(code, status, requestId) {
+    const err = new Error(code);
+    if (status) err.status = status;
+    if (requestId) err.requestId = requestId;
+    return err;
+  }
+  // The request may have been processed: connection lost, timed out, unreadable reply, 5xx or still in progress.
+  // Not CORS_BLOCKED: JSON POSTs are preflighted, so a blocked one never reached the BFF.
+  function isOutcomeUnknown(err) {
+    const code = err && err.message;
+    return ['NETWORK', 'TIMEOUT', 'PARSE', 'ORDER_IN_PROGRESS'].includes(code) || (err && err.status >= 500);
+  }
+  function generateIdempotencyKey() {
+    const c = window.crypto;
+    if (c && typeof c.randomUUID === 'function') return c.randomUUID();
+    const bytes = new Uint8Array(16);
+    if (c && c.getRandomValues) c.getRandomValues(bytes);
+    else for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
   function sanitizeErrorCode(msg) {
-    const known = ['NO_ITEMS','OFFER_NOT_FOUND','QTY_LIMIT','CURRENCY_MISMATCH','INVALID_MERCHANT','UNAUTHORISED','NETWORK','REQUEST_FAILED','PARSE','BAD_RESPONSE'];
+    const known = ['NO_ITEMS','OFFER_NOT_FOUND','QTY_LIMIT','CURRENCY_MISMATCH','INVALID_AMOUNT','INVALID_MERCHANT','UNAUTHORISED','NETWORK','TIMEOUT','REQUEST_FAILED','PARSE','BAD_RESPONSE','ORDER_NOT_FOUND','ORDER_IN_PROGRESS','IDEMPOTENCY_KEY_REUSED','PAYMENT_PROVIDER_UNAVAILABLE', 'RESEND_LIMIT', 'CODE_NOT_FOUND', 'INVALID_CODE_FORMAT', 'TOO_MANY_ATTEMPTS', 'ORIGIN_NOT_ALLOWED', 'CORS_BLOCKED', 'RATE_LIMITED', 'INVALID_REQUEST', 'INVALID_EMAIL', 'PAYLOAD_TOO_LARGE'].concat(PAYMENT_RETRY_CODES, PROMO_ERROR_CODES, SESSION_RETRY_CODES);
     if (known.includes(msg)) return msg;
     // The server might send other codes; display uppercase wordlike
     const up = String(msg || 'UNKNOWN').toUpperCase().replace(/[^A-Z0-9_]/g, '_');
     return up || 'UNKNOWN';
   }
-  function resolveAssetUrl(s) {
-    if (!s || typeof s !== 'string') return s;
-    if (/^(https?:|data:|blob:)/i.test(s)) return s;
-    try { return new URL(s, API_BASE).toString(); } catch (_) { return s; }
-  }
 
-  // Initial passive health check shortly after load
-  setTimeout(runHealthCheck, 200);
+  // Shared across every copy of this script on the page; instances are keyed by merchant ID
+  const registry = ensureRegistry();
+
+  const mountReady = scriptEl.hasAttribute('data-mount') ? !!findMountTarget(scriptEl) : !!document.body;
+  if (!mountReady && document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => mount(scriptEl), { once: true });
+  } else {
+    mount(scriptEl);
+  }
 })();